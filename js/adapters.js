@@ -0,0 +1,167 @@
+/*
+  adapters.js
+  Import adapters for long-format author data. CSV and NDJSON rows
+  (author_id, name, year, subfield, field, topic, count, ...) are aggregated into the nested
+  authors.json records (Nome, Cognome, Yearly_Subfields, Yearly_Fields, Yearly_Topics, ...),
+  which then go through the same validation and mapping as a JSON file.
+  Requires: d3.v7 loaded in the HTML.
+
+  Copyright 2025 Marco Monteverde
+  License: MIT
+*/
+
+// Column names of the long format; pass { columns: { year: "pub_year", ... } } to override some.
+// A row adds count works to its subfield in that year, and to the subfield---field and
+// subfield---topic pairs when field / topic are present (one row per author, year, subfield, field, topic).
+export const defaultColumns = {
+	authorId: "author_id",
+	name: "name",
+	givenName: "given_name",
+	familyName: "family_name",
+	year: "year",
+	subfield: "subfield",
+	field: "field",
+	topic: "topic",
+	count: "count",
+	institution: "institution",
+	orcid: "orcid",
+	openalex: "openalex_id",
+	hindex: "h_index",
+	i10: "i10_index",
+	works: "works_count",
+	cited: "cited_by_count"
+};
+
+// author metadata columns -> keys of the nested record
+const metaKeys = {
+	institution: "Institution (OpenAlex)",
+	orcid: "ORCID",
+	openalex: "OpenAlex ID",
+	hindex: "H-Index",
+	i10: "I10-Index",
+	works: "Works Count",
+	cited: "Cited By Count"
+};
+const numericMeta = new Set(["hindex", "i10", "works", "cited"]);
+
+function addCount(yearly, year, key, count) {
+	const counts = yearly[year] = yearly[year] || {};
+	counts[key] = (counts[key] || 0) + count;
+}
+
+// Aggregate long-format rows [{ line, row }] into one record per author id (or name).
+// Returns { records, rejected: [{ line, reason }] }
+function recordsFromRows(rows, columns) {
+	const byAuthor = new Map();
+	const rejected = [];
+	const cell = (row, key) => {
+		const v = row[columns[key]];
+		return v === undefined || v === null ? "" : String(v).trim();
+	};
+
+	for (const { line, row } of rows) {
+		const id = cell(row, "authorId") || cell(row, "name");
+		if (!id) {
+			rejected.push({ line, reason: `no ${columns.authorId} or ${columns.name}` });
+			continue;
+		}
+		const yearText = cell(row, "year");
+		const year = Number(yearText);
+		if (yearText === "" || !Number.isInteger(year)) {
+			rejected.push({ line, reason: `invalid ${columns.year} "${yearText}"` });
+			continue;
+		}
+		const subfield = cell(row, "subfield");
+		if (!subfield) {
+			rejected.push({ line, reason: `no ${columns.subfield}` });
+			continue;
+		}
+		const countText = cell(row, "count");
+		const count = Number(countText);
+		if (countText === "" || !Number.isFinite(count) || count < 0) {
+			rejected.push({ line, reason: `invalid ${columns.count} "${countText}"` });
+			continue;
+		}
+
+		let record = byAuthor.get(id);
+		if (!record) {
+			const name = cell(row, "name");
+			const given = cell(row, "givenName");
+			const family = cell(row, "familyName");
+			// without separate name columns the last word of the name is the family name
+			const split = name.lastIndexOf(" ");
+			record = {
+				Nome: given || family ? given : (split > 0 ? name.slice(0, split) : name),
+				Cognome: given || family ? family : (split > 0 ? name.slice(split + 1) : ""),
+				Yearly_Subfields: {},
+				Yearly_Fields: {},
+				Yearly_Topics: {}
+			};
+			for (const key of Object.values(metaKeys)) record[key] = null;
+			byAuthor.set(id, record);
+		}
+		// metadata: first non-empty value wins
+		for (const [col, key] of Object.entries(metaKeys)) {
+			const v = cell(row, col);
+			if (v !== "" && record[key] === null) record[key] = numericMeta.has(col) ? Number(v) : v;
+		}
+
+		addCount(record.Yearly_Subfields, year, subfield, count);
+		const field = cell(row, "field");
+		if (field) addCount(record.Yearly_Fields, year, `${subfield}---${field}`, count);
+		const topic = cell(row, "topic");
+		if (topic) addCount(record.Yearly_Topics, year, `${subfield}---${topic}`, count);
+	}
+	return { records: Array.from(byAuthor.values()), rejected };
+}
+
+// Long-format CSV (or another delimiter). Rejected rows carry their line in the file
+// (counted as one line per row, i.e. assuming no line breaks inside quoted cells)
+export function csvToAuthors(text, { columns = {}, delimiter = "," } = {}) {
+	const cols = { ...defaultColumns, ...columns };
+	const rows = d3.dsvFormat(delimiter).parse(text);
+	const header = new Set(rows.columns);
+	for (const key of ["year", "subfield", "count"]) {
+		if (!header.has(cols[key])) throw new Error(`CSV has no "${cols[key]}" column`);
+	}
+	if (!header.has(cols.authorId) && !header.has(cols.name)) throw new Error(`CSV has no "${cols.authorId}" or "${cols.name}" column`);
+	return recordsFromRows(rows.map((row, i) => ({ line: i + 2, row })), cols);
+}
+
+// NDJSON: one JSON object per line, either a long-format row or a whole nested author record
+export function ndjsonToAuthors(text, { columns = {} } = {}) {
+	const cols = { ...defaultColumns, ...columns };
+	const nested = [];
+	const rows = [];
+	const rejected = [];
+	text.split(/\r?\n/).forEach((lineText, i) => {
+		if (!lineText.trim()) return;
+		let obj;
+		try {
+			obj = JSON.parse(lineText);
+		} catch (err) {
+			rejected.push({ line: i + 1, reason: `invalid JSON: ${err.message}` });
+			return;
+		}
+		if (!obj || typeof obj !== "object" || Array.isArray(obj)) rejected.push({ line: i + 1, reason: "not a JSON object" });
+		else if (obj.Yearly_Subfields) nested.push(obj);
+		else rows.push({ line: i + 1, row: obj });
+	});
+	const fromRows = recordsFromRows(rows, cols);
+	return { records: nested.concat(fromRows.records), rejected: rejected.concat(fromRows.rejected).sort((a, b) => a.line - b.line) };
+}
+
+// Parse a dataset file by extension (.csv, .tsv, .ndjson / .jsonl, anything else as JSON).
+// Returns { rawData, rejected, format }
+export function importAuthors(text, fileName, options = {}) {
+	const ext = String(fileName).toLowerCase().split(".").pop();
+	if (ext === "csv" || ext === "tsv") {
+		const { records, rejected } = csvToAuthors(text, { ...options, delimiter: ext === "tsv" ? "\t" : (options.delimiter || ",") });
+		return { rawData: records, rejected, format: ext.toUpperCase() };
+	}
+	if (ext === "ndjson" || ext === "jsonl") {
+		const { records, rejected } = ndjsonToAuthors(text, options);
+		return { rawData: records, rejected, format: "NDJSON" };
+	}
+	return { rawData: JSON.parse(text), rejected: [], format: "JSON" };
+}
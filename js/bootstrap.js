@@ -0,0 +1,57 @@
+/*
+  bootstrap.js
+  Bootstrap confidence intervals for comparing two groups of authors. A statistic is computed
+  on resamples of each group (authors drawn with replacement), and a difference between the groups
+  is significant when the percentile interval of A − B excludes 0.
+  Requires: d3.v7 loaded in the HTML.
+
+  Copyright 2025 Marco Monteverde
+  License: MIT
+*/
+
+// stat(items) on `resamples` resamples of items (same size, drawn with replacement)
+export function bootstrap(items, stat, { resamples = 1000, random = Math.random } = {}) {
+	const n = items.length;
+	const out = [];
+	const sample = new Array(n);
+	for (let r = 0; r < resamples; r++) {
+		for (let i = 0; i < n; i++) sample[i] = items[Math.floor(random() * n)];
+		out.push(stat(sample));
+	}
+	return out;
+}
+
+// central percentile interval [lo, hi] of values at level; NaN values are ignored
+export function percentileInterval(values, level = 0.95) {
+	const sorted = values.filter(v => !Number.isNaN(v)).sort((a, b) => a - b);
+	if (!sorted.length) return [NaN, NaN];
+	const tail = (1 - level) / 2;
+	return [d3.quantileSorted(sorted, tail), d3.quantileSorted(sorted, 1 - tail)];
+}
+
+// Compare stat between groups a and b. stat returns a number, or an array of numbers compared one by one.
+// Returns { a, aLo, aHi, b, bLo, bHi, diff, diffLo, diffHi, significant } (an array of them for array stats);
+// NaN stats (undefined for a resample) are left out of the intervals and are never significant.
+// The same seed gives the same intervals, so flags do not flicker between redraws
+export function compareGroups(a, b, stat, { resamples = 1000, level = 0.95, seed = 1 } = {}) {
+	const random = d3.randomLcg(seed);
+	const pointA = stat(a), pointB = stat(b);
+	const repA = a.length ? bootstrap(a, stat, { resamples, random }) : [];
+	const repB = b.length ? bootstrap(b, stat, { resamples, random }) : [];
+
+	const compareOne = (get, valueA, valueB) => {
+		const ra = repA.map(get), rb = repB.map(get);
+		const [aLo, aHi] = percentileInterval(ra, level);
+		const [bLo, bHi] = percentileInterval(rb, level);
+		const [diffLo, diffHi] = ra.length && rb.length ? percentileInterval(ra.map((v, i) => v - rb[i]), level) : [NaN, NaN];
+		return {
+			a: valueA, aLo, aHi,
+			b: valueB, bLo, bHi,
+			diff: valueA - valueB, diffLo, diffHi,
+			significant: Number.isFinite(valueA - valueB) && (diffLo > 0 || diffHi < 0)
+		};
+	};
+
+	if (!Array.isArray(pointA)) return compareOne(v => v, pointA, pointB);
+	return pointA.map((valueA, k) => compareOne(v => v[k], valueA, pointB[k]));
+}
@@ -1,36 +1,75 @@
-// Define the subfields
-export const subfieldOrder = [
-    "Artificial Intelligence",
-    "Computational Theory and Mathematics",
-    "Computer Graphics and Computer-Aided Design",
-    "Computer Networks and Communications",
-    "Computer Science Applications",
-    "Computer Vision and Pattern Recognition",
-    "Hardware and Architecture",
-    "Human-Computer Interaction",
-    "Information Systems",
-    "Signal Processing",
-    "Software",
-    "Unknown" // always include fallback
+// Built-in taxonomy (Computer Science): subfields in display order, with the short label used
+// for cluster labels and their color. A dataset can bring its own taxonomy JSON with the same
+// entries and the name of its field ({ "field": ..., "subfields": [{ "name": ..., "short": ..., "color": ... }] },
+// see the manifest in main_viz.js); without one the taxonomy is derived from the data, see setTaxonomy.
+export const defaultField = "Computer Science";
+
+export const defaultTaxonomy = [
+    { name: "Artificial Intelligence", short: "AI", color: "#d62728" },
+    { name: "Computational Theory and Mathematics", short: "CT & Math", color: "#393b79" },
+    { name: "Computer Graphics and Computer-Aided Design", short: "CG & CAD", color: "#ff7f0e" },
+    { name: "Computer Networks and Communications", short: "Net & Comm", color: "#2ca02c" },
+    { name: "Computer Science Applications", short: "CS App", color: "#17becf" },
+    { name: "Computer Vision and Pattern Recognition", short: "CV & PR", color: "#9467bd" },
+    { name: "Hardware and Architecture", short: "HW & Arch", color: "#7f7f0e" },
+    { name: "Human-Computer Interaction", short: "HCI", color: "#e377c2" },
+    { name: "Information Systems", short: "Info Sys", color: "#bcbd22" },
+    { name: "Signal Processing", short: "Signal", color: "#8c564b" },
+    { name: "Software", short: "Software", color: "#1f77b4" },
+    { name: "Unknown", short: "Unknown", color: "#7f7f7f" } // always include fallback
 ];
 
-// Fixed ordinal color scale
+// Current subfields, in order (updated in place by setTaxonomy)
+export const subfieldOrder = defaultTaxonomy.map(d => d.name);
+
+// Ordinal color scale over subfieldOrder (updated by setTaxonomy)
 export const colorScale = d3.scaleOrdinal()
     .domain(subfieldOrder)
-    .range([
-        "#d62728", // Artificial Intelligence
-        "#393b79", // Computational Theory and Mathematics
-        "#ff7f0e", // Computer Graphics and Computer-Aided Design
-        "#2ca02c", // Computer Networks and Communications
-        "#17becf", // Computer Science Applications
-        "#9467bd", // Computer Vision and Pattern Recognition
-        "#7f7f0e", // Hardware and Architecture
-        "#e377c2", // Human-Computer Interaction
-        "#bcbd22", // Information Systems
-        "#8c564b", // Signal Processing
-        "#1f77b4", // Software
-        "#7f7f7f"  // Unknown
-    ]);
+    .range(defaultTaxonomy.map(d => d.color));
+
+const shortLabels = new Map(defaultTaxonomy.map(d => [d.name, d.short]));
+
+// colors for subfields without one, skipping those the taxonomy already uses
+const autoPalette = [...d3.schemeTableau10, ...d3.schemeSet2, ...d3.schemeDark2];
+
+// Replace the current taxonomy with entries [{ name, short?, color? }] of field (null if unknown), which
+// also names the page title and header. Missing short labels are abbreviated from the name,
+// missing colors come from autoPalette; "Unknown" is added if absent.
+export function setTaxonomy(entries, field = null) {
+    const list = entries.slice();
+    if (!list.some(d => d.name === "Unknown")) list.push(defaultTaxonomy[defaultTaxonomy.length - 1]);
+    const used = new Set(list.map(d => d.color).filter(Boolean));
+    const palette = autoPalette.filter(c => !used.has(c));
+    let next = 0;
+    const colors = list.map(d => {
+        if (d.color) return d.color;
+        const color = palette[next] || d3.interpolateRainbow((next * 0.618) % 1);
+        next++;
+        return color;
+    });
+
+    subfieldOrder.splice(0, subfieldOrder.length, ...list.map(d => d.name));
+    colorScale.domain(subfieldOrder).range(colors);
+    shortLabels.clear();
+    list.forEach(d => shortLabels.set(d.name, d.short || abbreviate(d.name)));
+
+    document.title = field ? `${field} — Authors by Subfield` : "Authors by Subfield";
+    d3.select("#fieldDescription").text(field ? `Each dot represents an author in the ${field} field.` : "Each dot represents an author.");
+}
+
+export function shortLabel(name) {
+    return shortLabels.get(name) || abbreviate(name);
+}
+
+// "Computer Vision and Pattern Recognition" -> "CV & PR", "Condensed Matter Physics" -> "CMP"
+function abbreviate(name) {
+    if (name.length <= 12) return name;
+    return name.split(/\s+(?:and|&)\s+/i).map(part => {
+        const words = part.split(/[\s-]+/).filter(w => w && !/^(of|the|in|for|on|to)$/i.test(w));
+        if (words.length > 1) return words.map(w => w[0].toUpperCase()).join("");
+        return words[0].length > 8 ? `${words[0].slice(0, 4)}.` : words[0];
+    }).join(" & ");
+}
 
 // General Visualization Dimensions
 export const W = 1120, H = 960;
@@ -41,3 +80,14 @@ export const innerH = H - M.top - M.bottom;
 export function escapeHTML(s) {
     return String(s || "").replace(/[&<>"']/g, m => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" }[m]));
 }
+
+// Optional Rao-Stirling distance matrix: rows and columns follow defaultTaxonomy, values in [0, 1].
+// Leave null to derive distances from subfield co-occurrence in the loaded authors.
+export const subfieldDistanceMatrix = null;
+
+// Column names of long-format CSV / NDJSON imports that differ from adapters.js defaultColumns,
+// e.g. { authorId: "openalex_author", year: "publication_year" }.
+export const importColumns = {};
+
+// Above this many authors the force view draws nodes and phantom links on a canvas instead of one SVG element each
+export const canvasNodeThreshold = 3000;
@@ -0,0 +1,97 @@
+/*
+  diversity.js
+  Diversity (interdisciplinarity) indices over a counts object {category: count}.
+
+  Copyright 2025 Marco Monteverde
+  License: MIT
+*/
+
+// Registry of selectable indices: label shown in the UI, compute(p, keys, dist, categories) on the
+// share vector p (sums to 1), and format for the displayed value
+export const diversityIndices = {
+	maxShare: {
+		label: "1 − max share",
+		compute: p => 1 - Math.max(...p),
+		format: v => `${(v * 100).toFixed(1)}%`
+	},
+	shannon: {
+		label: "Shannon entropy",
+		compute: p => -d3.sum(p, x => x * Math.log(x)),
+		format: v => v.toFixed(3)
+	},
+	shannonNorm: {
+		label: "Shannon (normalized)",
+		// entropy divided by its maximum ln(n) over the n categories of the taxonomy (at least those present),
+		// so an even split over 2 of 11 subfields scores ln 2 / ln 11, not 100%
+		compute: (p, keys, dist, categories) => {
+			const n = Math.max(categories || 0, p.length);
+			return n > 1 ? -d3.sum(p, x => x * Math.log(x)) / Math.log(n) : 0;
+		},
+		format: v => `${(v * 100).toFixed(1)}%`
+	},
+	giniSimpson: {
+		label: "Gini-Simpson",
+		compute: p => 1 - d3.sum(p, x => x * x),
+		format: v => `${(v * 100).toFixed(1)}%`
+	},
+	raoStirling: {
+		label: "Rao-Stirling",
+		// sum over ordered pairs i != j of d_ij * p_i * p_j
+		compute: (p, keys, dist) => {
+			let out = 0;
+			for (let i = 0; i < p.length; i++) {
+				for (let j = 0; j < p.length; j++) {
+					if (i !== j) out += distanceBetween(dist, keys[i], keys[j]) * p[i] * p[j];
+				}
+			}
+			return out;
+		},
+		format: v => `${(v * 100).toFixed(1)}%`
+	}
+};
+
+// Compute index `metric` on a counts object; zero/negative counts are ignored.
+// categories is the number of possible categories (used by the normalized indices)
+export function diversity(counts, metric = "maxShare", dist = null, categories = 0) {
+	const entries = Object.entries(counts || {}).map(([k, v]) => [k, Number(v)]).filter(([, v]) => v > 0);
+	if (!entries.length) return 0;
+	const sum = d3.sum(entries, ([, v]) => v);
+	const keys = entries.map(([k]) => k);
+	const p = entries.map(([, v]) => v / sum);
+	const index = diversityIndices[metric] || diversityIndices.maxShare;
+	return index.compute(p, keys, dist, categories);
+}
+
+export function formatDiversity(value, metric) {
+	return (diversityIndices[metric] || diversityIndices.maxShare).format(value);
+}
+
+// Distance lookup for Rao-Stirling. The matrix is keyed by subfield, so any other key
+// (e.g. "subfield---field" pairs of the outer metric) is at distance 1 from the rest
+function distanceBetween(dist, a, b) {
+	if (a === b) return 0;
+	return dist?.get(a)?.get(b) ?? 1;
+}
+
+// Build a distance Map (key -> key -> d) from a square matrix whose rows/columns follow `keys`
+export function distanceMapFromMatrix(keys, matrix) {
+	const out = new Map();
+	keys.forEach((a, i) => {
+		const row = new Map();
+		keys.forEach((b, j) => row.set(b, Number(matrix?.[i]?.[j] ?? (i === j ? 0 : 1))));
+		out.set(a, row);
+	});
+	return out;
+}
+
+// Data-driven fallback distances: 1 - cosine similarity of subfield columns over author profiles
+export function cooccurrenceDistances(profiles, keys) {
+	const dot = (a, b) => d3.sum(profiles, pr => Number(pr[a] || 0) * Number(pr[b] || 0));
+	const norms = new Map(keys.map(k => [k, Math.sqrt(dot(k, k))]));
+	const matrix = keys.map(a => keys.map(b => {
+		if (a === b) return 0;
+		const denom = norms.get(a) * norms.get(b);
+		return denom > 0 ? 1 - dot(a, b) / denom : 1;
+	}));
+	return distanceMapFromMatrix(keys, matrix);
+}
@@ -1,6 +1,7 @@
 /*
   main_viz.js
-  Integrated visualization of Computer Science authors by subfield.
+  Integrated visualization of a field's authors by subfield. The subfields, and the field named in the
+  page title and header, come from the dataset's taxonomy (Computer Science built in, see common.js).
   Requires: d3.v7 loaded in the HTML.
 
   Copyright 2025 Marco Monteverde
@@ -11,8 +12,15 @@
 
 window.console.log("Module started!");
 
-import { subfieldOrder, colorScale } from "./common.js";
+import { subfieldOrder, colorScale, defaultTaxonomy, defaultField, setTaxonomy, shortLabel } from "./common.js";
 import { W, H, M, innerW, innerH, escapeHTML } from "./common.js";
+import { subfieldDistanceMatrix, importColumns, canvasNodeThreshold } from "./common.js";
+import { diversityIndices, diversity, formatDiversity, distanceMapFromMatrix, cooccurrenceDistances } from "./diversity.js";
+import { QueryError, parseQuery, evaluateQuery, usesCurrentYear, compare, quoteString } from "./query.js";
+import { validateAuthors } from "./validate.js";
+import { importAuthors } from "./adapters.js";
+import { buildPrefix, prefixAt, prefixBetween, prefixDecayed, firstActiveYear } from "./prefix.js";
+import { compareGroups } from "./bootstrap.js";
 
 // Basic DOM targets
 const container = d3.select("#viz")
@@ -29,7 +37,7 @@ const groupMetricDiv = container.append("div")
 	.attr("id", "groupMetric")
 	.style("position", "absolute")
 	.style("left", "12px")
-	.style("top", "480px")
+	.style("top", "560px")
 	.style("background", "#fff")
 	.style("padding", "8px 12px")
 	.style("border-radius", "8px")
@@ -39,6 +47,20 @@ const groupMetricDiv = container.append("div")
 	.style("z-index", 950)
 	.text(""); // will update dynamically
 
+// Group interdisciplinarity over time (below the group metric box)
+const groupSeriesDiv = container.append("div")
+	.attr("id", "groupSeries")
+	.style("position", "absolute")
+	.style("left", "12px")
+	.style("top", "640px")
+	.style("background", "#fff")
+	.style("padding", "8px")
+	.style("border-radius", "8px")
+	.style("box-shadow", "0 8px 22px rgba(2,6,23,0.06)")
+	.style("font-family", "sans-serif")
+	.style("font-size", "11px")
+	.style("z-index", 950);
+
 // Tooltip (styled inline)
 const tooltip = d3.select("body").append("div")
 	.attr("class", "tooltip")
@@ -75,13 +97,20 @@ const sidePanel = container.append("div")
 	.style("z-index", 1000)
 	.style("display", "none"); // initially hidden
 
+let sideHideTimer = null;
+let sidePanelOpen = false; // false from the moment a close starts
 function openSidePanel(htmlContent) {
+	sidePanelOpen = true;
+	// a panel opened right after a close (e.g. restoring ?author= on a rebuild) must stay visible
+	clearTimeout(sideHideTimer);
 	sidePanel.html(htmlContent).style("display", "block").style("transform", "translateX(0)");
 }
 function closeSidePanel() {
+	sidePanelOpen = false;
 	sidePanel.style("transform", "translateX(420px)");
 	// delay hide to allow transition
-	setTimeout(() => sidePanel.style("display", "none"), 320);
+	clearTimeout(sideHideTimer);
+	sideHideTimer = setTimeout(() => sidePanel.style("display", "none"), 320);
 }
 
 // Add a small close control at top-right of panel (delegated)
@@ -94,20 +123,23 @@ sidePanel.append("div")
 	.html("✕")
 	.on("click", closeSidePanel);
 
-// ---- Load authors.json ----
-d3.json("./json/authors.json").then(rawData => {
+// ---- Prepare one dataset (see showDataset): validation, internal author objects and count indexes ----
+// taxonomy is the dataset's taxonomy JSON if it has one, onProgress(fraction) follows the indexing.
+// Resolves to { rawArray, quality, authorsRaw, baseTaxonomy, field } for buildViz
+function prepareDataset(rawData, taxonomy, onProgress) {
 
 	// normalize into array
 	const rawArray = Array.isArray(rawData) ? rawData : [rawData];
 
-	if (!rawArray.length) {
-		g.append("text")
-			.attr("x", innerW / 2)
-			.attr("y", innerH / 2)
-			.attr("text-anchor", "middle")
-			.text("authors.json empty or missing");
-		return;
-	}
+	// taxonomy: the dataset's own, else the built-in one if the data uses any of its subfields,
+	// else none (derived from the data in buildViz)
+	const rawSubfields = new Set(rawArray.flatMap(a => Object.values(a?.Yearly_Subfields || {}).flatMap(c => Object.keys(c || {}))));
+	const baseTaxonomy = Array.isArray(taxonomy?.subfields) ? taxonomy.subfields
+		: (defaultTaxonomy.some(d => d.name !== "Unknown" && rawSubfields.has(d.name)) ? defaultTaxonomy : []);
+	const field = Array.isArray(taxonomy?.subfields) ? taxonomy.field || null : (baseTaxonomy === defaultTaxonomy ? defaultField : null);
+
+	// schema checks: repaired copies of the records plus a data-quality report (see validate.js)
+	const quality = validateAuthors(rawArray, { knownSubfields: baseTaxonomy.length ? baseTaxonomy.map(d => d.name) : null });
 
 	// ---- Transform raw data into internal author objects ----
 	const normalizeYearly = obj => {
@@ -118,11 +150,11 @@ d3.json("./json/authors.json").then(rawData => {
 		return out;
 	};
 
-	const authorsRaw = rawArray.map((a, i) => {
+	const authorsRaw = quality.records.map((a, i) => {
 		const inst = a["Institution (OpenAlex)"] || a.institution || a.institution_name || "";
 		return {
 			raw: a,
-			id: `A${i + 1}`,
+			id: `A${quality.indices[i] + 1}`, // position in the file, stable when records are skipped
 			given_name: a.Nome || "",
 			family_name: a.Cognome || "",
 			name: ((a.Nome || "") + " " + (a.Cognome || "")).trim(),
@@ -139,82 +171,112 @@ d3.json("./json/authors.json").then(rawData => {
 		};
 	});
 
-	// Precompute counts per author for optimization #3
-	authorsRaw.forEach(a => {
-		// initialize unified cache object
-		a._cache = {
-			year: {},         // per-year subfield counts (for Force 'year' mode)
-			entire: {},       // cumulative subfield counts up to year (for Force 'entire' mode)
-			sankeyYear: {},   // per-year pair counts (for Sankey 'year' mode)
-			sankeyEntire: {}  // cumulative pair counts up to year (for Sankey 'entire' mode)
-		};
-
-		// 1) Build subfield counts per year (Force)
-		// a.yearly was set earlier when mapping authorsRaw (a.Yearly_Subfields || {})
-		for (const [yStr, sfObj] of Object.entries(a.yearly || {})) {
+	// raw {"2002.0": {key: count}} -> {2002: {key: number}}
+	const numericYears = obj => {
+		const out = {};
+		for (const [yStr, counts] of Object.entries(obj || {})) {
 			const y = Number(yStr);
 			if (Number.isNaN(y)) continue;
-			a._cache.year[y] = {};
-			for (const [sf, c] of Object.entries(sfObj || {})) {
-				a._cache.year[y][sf] = Number(c || 0);
+			out[y] = {};
+			for (const [key, c] of Object.entries(counts || {})) {
+				out[y][key] = Number(c || 0);
 			}
 		}
+		return out;
+	};
 
-		// Build cumulative 'entire' subfield counts per year
-		{
-			const yearsSorted = Object.keys(a._cache.year).map(Number).filter(n => !isNaN(n)).sort((u, v) => u - v);
-			let running = {};
-			for (const y of yearsSorted) {
-				const counts = a._cache.year[y] || {};
-				for (const [sf, val] of Object.entries(counts)) {
-					running[sf] = (running[sf] || 0) + Number(val || 0);
-				}
-				// store a copy for this year (keyed by numeric year -> will be stringified as object key)
-				a._cache.entire[y] = { ...running };
-			}
-		}
+	// Precompute counts per author: prefix sums over years (see prefix.js) for subfields and
+	// subfield---field pairs up front, topic ones on first use (side panel, topic filters)
+	const perYear = authorsRaw.map(a => ({ subfield: numericYears(a.yearly), pair: numericYears(a.yearly_fields) }));
+	return precomputePrefixes(perYear, onProgress).then(prefixes => {
+		authorsRaw.forEach((a, i) => {
+			a._cache = {
+				prefix: prefixes[i],                      // {subfield, pair, topic} prefix sums, see prefixOf()
+				topicYear: numericYears(a.yearly_topics), // per-year "subfield---topic" counts, indexed on first use
+				firstYear: firstActiveYear(prefixes[i].subfield), // career start (null if never active)
+				decay: {}                                 // lazily filled time-decayed counts, see decayedCounts()
+			};
+		});
+		return { rawArray, quality, authorsRaw, baseTaxonomy, field };
+	});
+}
 
-		// 2) Build pair counts per year (Sankey) from a.yearly_fields (a.Yearly_Fields || {})
-		for (const [yStr, pairObj] of Object.entries(a.yearly_fields || {})) {
-			const y = Number(yStr);
-			if (Number.isNaN(y)) continue;
-			a._cache.sankeyYear[y] = {};
-			for (const [pair, v] of Object.entries(pairObj || {})) {
-				a._cache.sankeyYear[y][pair] = Number(v || 0);
+// Prefix sums for every author ([{kind: perYear}]) in prefix_worker.js, reporting onProgress(fraction);
+// falls back to the main thread, in chunks, where a module worker cannot be started
+function precomputePrefixes(perYear, onProgress) {
+	const onMainThread = () => new Promise(resolve => {
+		const result = [];
+		const step = () => {
+			const end = Math.min(perYear.length, result.length + 500);
+			while (result.length < end) {
+				const kinds = perYear[result.length];
+				result.push(Object.fromEntries(Object.entries(kinds).map(([kind, counts]) => [kind, buildPrefix(counts)])));
 			}
-		}
+			onProgress(result.length / (perYear.length || 1));
+			if (result.length < perYear.length) setTimeout(step, 0);
+			else resolve(result);
+		};
+		step();
+	});
 
-		// Build cumulative 'entire' pair counts per year for Sankey
-		{
-			const yearsSortedPairs = Object.keys(a._cache.sankeyYear).map(Number).filter(n => !isNaN(n)).sort((u, v) => u - v);
-			let runningPairs = {};
-			for (const y of yearsSortedPairs) {
-				const counts = a._cache.sankeyYear[y] || {};
-				for (const [pair, val] of Object.entries(counts)) {
-					runningPairs[pair] = (runningPairs[pair] || 0) + Number(val || 0);
-				}
-				a._cache.sankeyEntire[y] = { ...runningPairs };
+	if (typeof Worker === "undefined") return onMainThread();
+	return new Promise((resolve, reject) => {
+		const worker = new Worker(new URL("./prefix_worker.js", import.meta.url), { type: "module" });
+		worker.onmessage = e => {
+			if (e.data.result) {
+				worker.terminate();
+				resolve(e.data.result);
+			} else {
+				onProgress(e.data.done / e.data.total);
 			}
-		}
-
-		// 3) Backwards compatibility: alias for code that expects a._sankeyPairs
-		a._sankeyPairs = {
-			year: a._cache.sankeyYear,
-			entire: a._cache.sankeyEntire
 		};
+		worker.onerror = err => {
+			worker.terminate();
+			reject(err);
+		};
+		worker.postMessage({ authors: perYear });
+	}).catch(err => {
+		console.warn("Prefix worker failed, indexing on the main thread:", err.message || err);
+		return onMainThread();
 	});
-	// ---- end replacement block ----
+}
+
+// ---- Build the visualization for one prepared dataset (see prepareDataset) ----
+// rejectedRows are the rows an import adapter could not use ({ line, reason }, see adapters.js).
+// Returns a function that stops the timers and listeners started here
+function buildViz(prepared, rejectedRows = []) {
+	const { rawArray, quality, authorsRaw, baseTaxonomy, field: taxonomyField } = prepared;
+
+	// career alignment (#align=career): years on the slider count from each author's first active year,
+	// and every count below is taken at the author's own career year (see calendarYear)
+	const career = new URLSearchParams(window.location.hash.slice(1)).get("align") === "career";
 
-	// discover overall year range and possible subfields across dataset
+	if (!rawArray.length) {
+		g.append("text")
+			.attr("x", innerW / 2)
+			.attr("y", innerH / 2)
+			.attr("text-anchor", "middle")
+			.text("authors.json empty or missing");
+		return;
+	}
+
+
+	// discover overall year range and possible subfields (and external fields) across dataset
 	const allYearsSet = new Set();
 	const allSubfieldsSet = new Set();
+	const allFieldsSet = new Set();
 
 	for (const a of authorsRaw) {
 		for (const [yStr, sfObj] of Object.entries(a.yearly || {})) {
 			const y = +yStr;
-			if (!Number.isNaN(y)) allYearsSet.add(y);
+			if (!Number.isNaN(y) && !career) allYearsSet.add(y);
+			else if (!Number.isNaN(y) && a._cache.firstYear !== null && y >= a._cache.firstYear) allYearsSet.add(y - a._cache.firstYear);
 			for (const sf of Object.keys(sfObj || {})) allSubfieldsSet.add(sf);
 		}
+		for (const pair of a._cache.prefix.pair.keys) {
+			const field = pair.split('---')[1];
+			if (field) allFieldsSet.add(field);
+		}
 	}
 
 	// fallback
@@ -223,73 +285,167 @@ d3.json("./json/authors.json").then(rawData => {
 		return;
 	}
 
+	// subfields of the data missing from the taxonomy get automatic colors and short labels
+	const taxonomyNames = new Set(baseTaxonomy.map(d => d.name));
+	setTaxonomy(baseTaxonomy.concat(Array.from(allSubfieldsSet).filter(sf => !taxonomyNames.has(sf)).sort().map(name => ({ name }))), taxonomyField);
+
 	const yearMinAll = d3.min(Array.from(allYearsSet));
 	const yearMaxAll = d3.max(Array.from(allYearsSet));
 
 	// We'll maintain a "filteredAuthors" view (authorsRaw filtered by the UI filters)
 	let filteredAuthors = authorsRaw.slice();
+	const authorById = new Map(authorsRaw.map(a => [String(a.id), a]));
 
-	// mode: 'entire' (cumulative up to year) or 'year' (only that year's counts)
+	// mode: 'entire' (cumulative over [rangeStart, year], set with the two slider handles; the start handle
+	// defaults to the start of the data), 'year' (only that year's counts),
+	// 'window' (the windowSize years ending at year) or 'decay' (cumulative, halving every halfLife years)
 	let mainMode = 'entire';
+	let windowSize = 5;
+	let halfLife = 5;
+	let rangeStart = yearMinAll;
+
+	// true once the start handle has left the start of the data
+	const startMoved = () => rangeStart > yearMinAll;
+
+	// prefix sums of one kind ('subfield', 'pair' or 'topic') for an author; topic ones are built on first use
+	function prefixOf(author, kind) {
+		const prefix = author._cache.prefix;
+		if (!prefix[kind]) prefix[kind] = buildPrefix(author._cache.topicYear);
+		return prefix[kind];
+	}
 
-	// helper: compute cumulative counts up to year OR counts only in that year
-	function countsFor(author, year, mode = mainMode) {
+	// cumulative counts up to year
+	function cumulativeAt(author, kind, year) {
+		return prefixAt(prefixOf(author, kind), year);
+	}
+
+	// time-decayed counts, memoized per author/kind/year until halfLife changes
+	function decayedCounts(author, kind, year) {
+		let memo = author._cache.decay[kind];
+		if (!memo || memo.halfLife !== halfLife) memo = author._cache.decay[kind] = { halfLife, byYear: {} };
+		if (memo.byYear[year]) return memo.byYear[year];
+		return (memo.byYear[year] = prefixDecayed(prefixOf(author, kind), year, halfLife));
+	}
+
+	// calendar year of a slider year for an author: the same year, or first active year + career year
+	// when careers are aligned (null for an author who was never active)
+	function calendarYear(author, year) {
+		if (!career) return year;
+		const first = author._cache.firstYear;
+		return first === null ? null : first + year;
+	}
+
+	// counts of one kind ('subfield', 'pair' or 'topic') for an author at year under mode
+	function countsByKind(author, kind, year, mode = mainMode) {
 		if (!author._cache) return {}; // safety fallback
+		const y = calendarYear(author, year);
+		if (y === null) return {};
+
+		if (mode === 'year') return countsBetween(author, kind, y, y);
+		if (mode === 'decay') return decayedCounts(author, kind, y);
+		if (mode === 'window') return countsBetween(author, kind, y - windowSize + 1, y);
+		// 'entire'
+		if (!startMoved()) return cumulativeAt(author, kind, y);
+		return year >= rangeStart ? countsBetween(author, kind, rangeStart + (y - year), y) : {};
+	}
 
-		if (mode === 'year') {
-			return author._cache.year[year] || {};
-		} else { // 'entire'
-			// Find the closest year <= requested year
-			const years = Object.keys(author._cache.entire).map(Number).filter(y => y <= year);
-			if (!years.length) return {};
-			const maxYear = Math.max(...years);
-			return author._cache.entire[maxYear] || {};
-		}
-	}
-
-	function countsForFields(author, year, mode) {
-		const yearlyFields = author.Yearly_Fields || author.yearly_fields || {};
-		if (mode === "year") {
-			return yearlyFields[String(year)] || {};
-		} else if (mode === "entire") {
-			const agg = {};
-			for (const [y, pairs] of Object.entries(yearlyFields)) {
-				if (+y > year) continue;
-				for (const [pair, val] of Object.entries(pairs)) {
-					agg[pair] = (agg[pair] || 0) + val;
-				}
-			}
-			return agg;
-		}
-		return {};
+	// counts in the closed year span [from, to], as the difference of two prefix rows
+	function countsBetween(author, kind, from, to) {
+		return prefixBetween(prefixOf(author, kind), from, to);
+	}
+
+	// helper: compute subfield counts for year under mode (see countsByKind)
+	function countsFor(author, year, mode = mainMode) {
+		return countsByKind(author, 'subfield', year, mode);
+	}
+
+	function countsForFields(author, year, mode = mainMode) {
+		return countsByKind(author, 'pair', year, mode);
+	}
+
+	// counts are integers except in 'decay' mode
+	const formatCount = v => Number.isInteger(v) ? String(v) : v.toFixed(1);
+
+	// human-readable span covered by mode at year, e.g. "up to 2010", "in 2006–2010" or "in career years 6–10"
+	function modeSpanLabel(year, mode = mainMode) {
+		const span = (from, to) => from < to ? `in ${career ? "career years " : ""}${from}–${to}` : `in ${yearName(to)}`;
+		if (mode === 'year') return `in ${yearName(year)}`;
+		if (mode === 'window') return span(year - windowSize + 1, year);
+		if (mode === 'decay') return `up to ${yearName(year)}, half-life ${halfLife}y`;
+		return startMoved() ? span(rangeStart, year) : `up to ${yearName(year)}`;
+	}
+
+	// a slider year in text (also the tick format of year axes, with fewer ticks for the longer career names)
+	function yearName(year) {
+		return career ? `career year ${year}` : String(year);
+	}
+
+	// selected diversity index (see diversity.js), shared by tooltip, side panel and group metric
+	let diversityMetric = 'maxShare';
+
+	// subfield distances for Rao-Stirling: configured matrix (built-in taxonomy only), or derived from co-occurrence in the dataset
+	const subfieldDistances = subfieldDistanceMatrix && baseTaxonomy === defaultTaxonomy
+		? distanceMapFromMatrix(defaultTaxonomy.map(d => d.name), subfieldDistanceMatrix)
+		: cooccurrenceDistances(authorsRaw.map(a => countsFor(a, yearMaxAll, 'entire')), subfieldOrder);
+
+	// number of possible categories of a fieldType, for the normalized indices: the subfields of the
+	// taxonomy (without "Unknown"), or every subfield---field pair of the dataset's fields
+	function categoryCount(fieldType = 'subfield') {
+		const subfields = subfieldOrder.filter(sf => sf !== "Unknown").length;
+		return fieldType === 'subfield' ? subfields : subfields * allFieldsSet.size;
 	}
 
 	// helper: compute interdisciplinary for an author
-	function interdisciplinarity(author, year, mode = mainMode) {
-		const counts = countsFor(author, year, mode);
-		const values = Object.values(counts).map(Number).filter(v => v > 0);
-		if (!values.length) return 0;
-		const maxVal = Math.max(...values);
-		const sumVal = d3.sum(values);
-		return 1 - maxVal / sumVal;
+	function interdisciplinarity(author, year, mode = mainMode, metric = diversityMetric) {
+		return diversity(countsFor(author, year, mode), metric, subfieldDistances, categoryCount());
+	}
+
+	// How each author's counts enter cohort totals (group indices, cluster labels, Sankey, stream):
+	// 'raw' as they are, 'fractional' scaled to sum 1 per author, 'log' scaled to sum log(1 + total) per author.
+	// The last two keep each author's mix, so a prolific author no longer outweighs a cohort of newcomers.
+	const countingModes = {
+		raw: { label: "Raw counts" },
+		fractional: { label: "Fractional (1 per author)" },
+		log: { label: "Log-damped" }
+	};
+	let countingMode = 'raw';
+
+	function weighCounts(counts) {
+		if (countingMode === 'raw') return counts;
+		const total = d3.sum(Object.values(counts), v => Math.max(0, Number(v || 0)));
+		if (!total) return counts;
+		const scale = countingMode === 'fractional' ? 1 / total : Math.log1p(total) / total;
+		const out = {};
+		for (const [key, v] of Object.entries(counts)) out[key] = Number(v || 0) * scale;
+		return out;
 	}
 
-	// helper: compute group interdisciplinarity (Force/Sankey)
-	function groupInterdisciplinarity(authors, year, mode = mainMode, fieldType = 'subfield') {
+	// each author's weighed counts at year: subfields ('subfield') or subfield---field pairs ('external')
+	function authorProfiles(authors, year, mode = mainMode, fieldType = 'subfield') {
+		return authors.map(a => weighCounts((fieldType === 'subfield')
+			? countsFor(a, year, mode)
+			: countsForFields(a, year, mode)));
+	}
+
+	// sum of several counts objects
+	function sumCounts(list) {
 		const aggCounts = {};
-		authors.forEach(a => {
-			const counts = (fieldType === 'subfield')
-				? countsFor(a, year, mode)
-				: countsForFields(a, year, mode);
+		for (const counts of list) {
 			for (const [key, val] of Object.entries(counts)) {
 				aggCounts[key] = (aggCounts[key] || 0) + Number(val || 0);
 			}
-		});
-		const values = Object.values(aggCounts).filter(v => v > 0);
-		if (!values.length) return 0;
-		const maxVal = Math.max(...values);
-		const sumVal = d3.sum(values);
-		return 1 - maxVal / sumVal;
+		}
+		return aggCounts;
+	}
+
+	// helper: compute group interdisciplinarity (Force/Sankey) over the authors' weighed counts
+	function groupInterdisciplinarity(authors, year, mode = mainMode, fieldType = 'subfield', metric = diversityMetric) {
+		return diversity(sumCounts(authorProfiles(authors, year, mode, fieldType)), metric, subfieldDistances, categoryCount(fieldType));
+	}
+
+	// value formatted for display, followed by the name of the chosen index
+	function diversityLabel(value, metric = diversityMetric) {
+		return `${formatDiversity(value, metric)} <span style="color:#6b7280;font-size:11px">(${escapeHTML(diversityIndices[metric].label)})</span>`;
 	}
 
 	// compute main subfield for an author at year given mode
@@ -305,21 +461,7 @@ d3.json("./json/authors.json").then(rawData => {
 
 	// Generate HTML for topics section in side panel
 	function topicsHtml(author, year) {
-		let topicsByYear = {};
-
-		if (mainMode === 'year') {
-			const yearStr = String(year);
-			topicsByYear = author.yearly_topics?.[yearStr] || {};
-		} else { // 'entire' mode: aggregate all years <= currentYear
-			for (const [yStr, topics] of Object.entries(author.yearly_topics || {})) {
-				const y = +yStr;
-				if (y <= year) {
-					for (const [key, count] of Object.entries(topics)) {
-						topicsByYear[key] = (topicsByYear[key] || 0) + Number(count);
-					}
-				}
-			}
-		}
+		const topicsByYear = countsByKind(author, 'topic', year, mainMode);
 
 		if (!Object.keys(topicsByYear).length) {
 			return "<div>No topics available for this selection</div>";
@@ -344,7 +486,7 @@ d3.json("./json/authors.json").then(rawData => {
 		sortedSubfields.forEach(s => {
 			html += `<div style="margin-top:6px"><b>${s.sf}</b></div>`;
 			s.topics.forEach(t => {
-				html += `<div style="margin-left:12px">• ${t.count} ${t.topic}</div>`;
+				html += `<div style="margin-left:12px">• ${formatCount(t.count)} ${escapeHTML(t.topic)}</div>`;
 			});
 		});
 
@@ -365,7 +507,9 @@ d3.json("./json/authors.json").then(rawData => {
 		.attr("id", "filterPanel")
 		.style("position", "absolute")
 		.style("left", "12px")
-		.style("top", "110px")
+		.style("top", "200px")
+		.style("max-height", "350px")
+		.style("overflow-y", "auto")
 		.style("background", "#fff")
 		.style("padding", "8px")
 		.style("border-radius", "8px")
@@ -403,62 +547,697 @@ d3.json("./json/authors.json").then(rawData => {
 	numericFilterRow("Works Count", "works");
 	numericFilterRow("Cited By", "cited");
 
+	// Content conditions: subfield output, main subfield, topics and external fields.
+	// Combined with each other by AND/OR, and with the filters above by AND.
+	const conditionTypes = {
+		subfieldWorks: "Works in subfield",
+		mainSubfield: "Main subfield",
+		topic: "Topic contains",
+		field: "External field"
+	};
+	const subfieldChoices = subfieldOrder.filter(sf => sf !== "Unknown")
+		.concat(Array.from(allSubfieldsSet).filter(sf => !subfieldOrder.includes(sf)).sort());
+	const fieldChoices = Array.from(allFieldsSet).sort();
+
+	let contentConditions = []; // [{ type, ...params }]
+	let conditionJoin = 'and';
+
+	function newCondition(type) {
+		if (type === 'subfieldWorks') return { type, min: 1, subfield: subfieldChoices[0], from: yearMinAll, to: yearMaxAll };
+		if (type === 'mainSubfield') return { type, subfield: subfieldChoices[0], year: "" }; // "" follows the slider
+		if (type === 'topic') return { type, text: "" };
+		return { type: 'field', field: fieldChoices[0] || "" };
+	}
+
+	// collapsible, so the panel stays short until content conditions are needed
+	const contentSection = filterPanel.append("details").attr("id", "contentSection").style("margin-top", "8px");
+	contentSection.append("summary").style("font-weight", "700").style("cursor", "pointer").text("Content conditions");
+	const joinRow = contentSection.append("div").style("margin-top", "6px");
+	joinRow.append("span").text("Match ");
+	const joinSelect = joinRow.append("select")
+		.attr("id", "conditionJoin")
+		.style("padding", "4px")
+		.html(`<option value="and">all (AND)</option><option value="or">any (OR)</option>`)
+		.on("change", function () { conditionJoin = this.value; });
+	const conditionsDiv = contentSection.append("div").attr("id", "contentConditions");
+	contentSection.append("div").style("margin-top", "6px").append("select")
+		.attr("id", "addCondition")
+		.style("padding", "4px")
+		.html(`<option value="">+ Add condition…</option>` + Object.entries(conditionTypes).map(([k, label]) => `<option value="${k}">${label}</option>`).join(""))
+		.on("change", function () {
+			if (!this.value) return;
+			contentConditions.push(newCondition(this.value));
+			this.value = "";
+			renderConditions();
+		});
+
+	// (re)build one row of inputs per condition; inputs write straight into the condition objects
+	function renderConditions() {
+		joinSelect.property("value", conditionJoin);
+		conditionsDiv.selectAll("div.condition").remove();
+		contentConditions.forEach((c, i) => {
+			const row = conditionsDiv.append("div")
+				.attr("class", "condition")
+				.style("margin-top", "6px")
+				.style("padding", "4px")
+				.style("border", "1px solid #eee")
+				.style("border-radius", "4px")
+				.style("width", "170px");
+			const head = row.append("div").style("display", "flex").style("justify-content", "space-between");
+			head.append("b").text(conditionTypes[c.type]);
+			head.append("span").style("cursor", "pointer").text("✕").on("click", () => {
+				contentConditions.splice(i, 1);
+				renderConditions();
+			});
+
+			const input = (key, attrs = {}) => {
+				const el = row.append("input").property("value", c[key]).style("padding", "3px").style("margin", "3px 3px 0 0");
+				Object.entries(attrs).forEach(([k, v]) => el.attr(k, v));
+				return el.on("input", function () { c[key] = attrs.type === "number" && this.value !== "" ? Number(this.value) : this.value; });
+			};
+			const select = (key, options) => row.append("select")
+				.style("padding", "3px").style("margin-top", "3px").style("max-width", "165px")
+				.html(options.map(o => `<option>${escapeHTML(o)}</option>`).join(""))
+				.property("value", c[key])
+				.on("change", function () { c[key] = this.value; });
+			const yearAttrs = { type: "number", min: yearMinAll, max: yearMaxAll };
+
+			if (c.type === 'subfieldWorks') {
+				row.append("span").text("≥ ");
+				input("min", { type: "number", min: 0 }).style("width", "48px");
+				row.append("span").text(" works in");
+				select("subfield", subfieldChoices);
+				input("from", yearAttrs).style("width", "58px");
+				row.append("span").text("– ");
+				input("to", yearAttrs).style("width", "58px");
+			} else if (c.type === 'mainSubfield') {
+				row.append("span").text("in ");
+				input("year", { ...yearAttrs, placeholder: "now" }).attr("title", "Empty: the slider's current year").style("width", "58px");
+				row.append("span").text(" is");
+				select("subfield", subfieldChoices);
+			} else if (c.type === 'topic') {
+				input("text", { placeholder: "e.g. ontology" }).style("width", "150px");
+			} else {
+				row.append("span").text("published in");
+				select("field", fieldChoices);
+			}
+		});
+	}
+
+	// topic names and external fields an author ever published in (lower-cased topics for substring search)
+	function topicNamesOf(author) {
+		if (!author._cache.topicNames) {
+			author._cache.topicNames = Object.keys(cumulativeAt(author, 'topic', Infinity))
+				.map(key => (key.includes("---") ? key.split("---")[1] : key).toLowerCase());
+		}
+		return author._cache.topicNames;
+	}
+
+	function fieldNamesOf(author) {
+		if (!author._cache.fieldNames) {
+			author._cache.fieldNames = new Set(Object.keys(cumulativeAt(author, 'pair', Infinity)).map(pair => pair.split("---")[1]));
+		}
+		return author._cache.fieldNames;
+	}
+
+	// one content condition as a query term (see query.js); incomplete conditions give null and are skipped
+	function conditionToQuery(c) {
+		if (c.type === 'subfieldWorks') {
+			if (!c.subfield || [c.min, c.from, c.to].some(v => v === "" || Number.isNaN(Number(v)))) return null;
+			const from = Math.min(c.from, c.to), to = Math.max(c.from, c.to);
+			return `subfield(${quoteString(c.subfield)}, ${from}, ${to})>=${c.min}`;
+		}
+		if (c.type === 'mainSubfield') {
+			if (!c.subfield || Number.isNaN(Number(c.year))) return null;
+			return c.year === "" ? `main=${quoteString(c.subfield)}` : `main(${c.year})=${quoteString(c.subfield)}`;
+		}
+		if (c.type === 'topic') {
+			const text = String(c.text || "").trim();
+			return text ? `topic~${quoteString(text)}` : null;
+		}
+		if (c.type === 'field') return c.field ? `field=${quoteString(c.field)}` : null;
+		return null;
+	}
+
+	// inverse of conditionToQuery for one comparison node; null if the panel cannot show it
+	function queryToCondition(node) {
+		if (node.type !== 'cmp') return null;
+		const canonical = (choices, v) => choices.find(ch => ch.toLowerCase() === String(v).toLowerCase());
+		if (node.field === 'subfield' && node.op === ">=") {
+			const subfield = canonical(subfieldChoices, node.args[0]);
+			return subfield ? { type: 'subfieldWorks', min: node.value, subfield, from: node.args[1], to: node.args[2] } : null;
+		}
+		if (node.field === 'main' && node.op === "=") {
+			const subfield = canonical(subfieldChoices, node.value);
+			return subfield ? { type: 'mainSubfield', subfield, year: node.args.length ? node.args[0] : "" } : null;
+		}
+		if (node.field === 'topic' && node.op === "~") return { type: 'topic', text: node.value };
+		if (node.field === 'field' && node.op === "=") {
+			const field = canonical(fieldChoices, node.value);
+			return field ? { type: 'field', field } : null;
+		}
+		return null;
+	}
+
 	// Apply / Reset buttons
 	const buttonsDiv = filterPanel.append("div").style("margin-top", "8px");
 	buttonsDiv.append("button").text("Apply").style("padding", "6px 8px").style("margin-right", "6px").on("click", applyFilters);
 	buttonsDiv.append("button").text("Reset").style("padding", "6px 8px").on("click", resetFilters);
 
+	// Cohorts to compare: the filtered authors when "Set A" / "Set B" is clicked (see openComparePanel)
+	const cohorts = { A: null, B: null }; // { query, authors }
+	const cohortColors = { A: "#2563eb", B: "#ea580c" };
+	const cohortDiv = filterPanel.append("div").style("margin-top", "8px");
+	const cohortBtns = {};
+	for (const key of ["A", "B"]) {
+		cohortBtns[key] = cohortDiv.append("button")
+			.text(`Set ${key}`)
+			.attr("title", `Use the filtered authors as cohort ${key}`)
+			.style("padding", "6px 8px")
+			.style("margin-right", "6px")
+			.style("border-left", `4px solid ${cohortColors[key]}`)
+			.on("click", () => {
+				cohorts[key] = { query: appliedQuery, authors: filteredAuthors.slice() };
+				cohortBtns[key].text(`${key}: ${filteredAuthors.length}`).attr("title", `Cohort ${key}: ${appliedQuery || "all authors"}`);
+				compareBtn.property("disabled", !(cohorts.A && cohorts.B));
+			});
+	}
+	const compareBtn = cohortDiv.append("button")
+		.text("Compare")
+		.property("disabled", true)
+		.style("padding", "6px 8px")
+		.on("click", () => openComparePanel());
+
+	// Query box below the chart, kept in sync with the panel above (see panelToQuery / queryToPanel)
+	const queryBar = container.append("div")
+		.attr("id", "queryBar")
+		.style("margin", "8px 6px 0 6px")
+		.style("font-family", "sans-serif")
+		.style("font-size", "12px");
+	const queryRow = queryBar.append("div").style("display", "flex").style("gap", "6px").style("align-items", "center");
+	queryRow.append("b").text("Query");
+	const queryInput = queryRow.append("input")
+		.attr("id", "queryInput")
+		.attr("placeholder", `hindex>=20 and inst~"Pisa" and main(2010)="Artificial Intelligence" and topic~"semantic"`)
+		.style("flex", "1")
+		.style("padding", "6px")
+		.style("border-radius", "4px")
+		.style("border", "1px solid #ddd")
+		.style("font-family", "monospace")
+		.on("keydown", function (e) { if (e.key === "Enter") applyQuery(this.value); });
+	queryRow.append("button").text("Run").style("padding", "6px 8px").on("click", () => applyQuery(queryInput.property("value")));
+	const queryMessage = queryBar.append("div").attr("id", "queryMessage").style("margin-top", "4px").style("min-height", "14px");
+	queryBar.append("div").attr("class", "help")
+		.text("Fields: hindex i10 works cited (>= <= > < = !=) · name surname inst topic field (~ = !=) · main(year)=\"subfield\" (main= at the current year) · subfield(\"subfield\", from, to)>=n · and, or, not, ( )");
+
+	// View switch: force layout, Sankey, scatter plot, stacked areas over time or author × year matrix
+	let view = 'force'; // 'force', 'sankey', 'scatter', 'stream' or 'timeline'
+	const viewButtons = filterPanel.append("div").style("margin-top", "8px");
+	const viewBtns = [['force', "Force"], ['sankey', "Sankey"], ['scatter', "Scatter"], ['stream', "Stream"], ['timeline', "Timeline"]].map(([v, label]) => [v, viewButtons.append("button")
+		.text(label)
+		.style("padding", "6px 8px")
+		.style("margin-right", "6px")
+		.on("click", () => {
+			view = v;
+			updateViewButtons();
+			updateAll(false); // redraw current visualization
+		})]);
+	// authors brushed in the scatter plot stay highlighted in the force view until cleared
+	const clearBrushBtn = viewButtons.append("button")
+		.style("padding", "6px 8px")
+		.style("display", "none")
+		.on("click", () => setBrushed(null));
+
+	function updateViewButtons() {
+		viewBtns.forEach(([v, btn]) => {
+			btn.style("background", view === v ? "#2563eb" : "#fff").style("color", view === v ? "#fff" : "#000");
+		});
+	}
+	updateViewButtons();
+
 	// -------------------------------------------------------------------------------------------------------------------------
 	// SANKEY VISUALIZATION ----------------------------------------------------------------------------------------------------
 	// -------------------------------------------------------------------------------------------------------------------------
-	const vizToggleBtn = filterPanel.append("button")
-		.text("Switch to Sankey")
-		.style("margin-top", "8px")
+
+	// Sankey kind: 'fields' (subfield -> external field) or 'migration' (main subfield between years)
+	let sankeyKind = 'fields';
+	let migrationFrom = Math.max(yearMinAll, yearMaxAll - 10);
+	let migrationTo = yearMaxAll;
+	let migrationDecades = false;
+
+	const sankeyControls = container.append("div")
+		.attr("id", "sankeyControls")
+		.style("position", "absolute")
+		.style("left", "330px")
+		.style("top", "10px")
+		.style("background", "#fff")
 		.style("padding", "6px 8px")
-		.on("click", () => {
-			showSankey = !showSankey;
-			vizToggleBtn.text(showSankey ? "Switch to Force View" : "Switch to Sankey");
-			console.log("Sankey mode:", showSankey);
-			updateAll(false); // redraw current visualization
+		.style("border-radius", "8px")
+		.style("box-shadow", "0 8px 22px rgba(2,6,23,0.06)")
+		.style("font-family", "sans-serif")
+		.style("font-size", "12px")
+		.style("z-index", 900)
+		.style("display", "none");
+
+	sankeyControls.append("select")
+		.attr("id", "sankeyKind")
+		.style("padding", "4px")
+		.html(`<option value="fields">Subfield → External field</option><option value="migration">Subfield migration</option>`)
+		.on("change", function () {
+			sankeyKind = this.value;
+			migrationControls.style("display", sankeyKind === 'migration' ? "inline" : "none");
+			updateSankey();
+			scheduleHashUpdate();
 		});
 
-	let showSankey = false; // global flag
+	const migrationControls = sankeyControls.append("span").style("display", "none").style("margin-left", "8px");
+	const yearInput = (id, value, onChange) => migrationControls.append("input")
+		.attr("id", id)
+		.attr("type", "number")
+		.attr("min", yearMinAll)
+		.attr("max", yearMaxAll)
+		.property("value", value)
+		.style("width", "64px")
+		.style("padding", "4px")
+		.on("change", function () {
+			const v = Math.round(Number(this.value));
+			if (Number.isNaN(v)) return;
+			onChange(Math.max(yearMinAll, Math.min(yearMaxAll, v)));
+			updateSankey();
+		});
+	migrationControls.append("span").text("From ");
+	yearInput("migrationFrom", migrationFrom, v => { migrationFrom = v; });
+	migrationControls.append("span").text(" to ");
+	yearInput("migrationTo", migrationTo, v => { migrationTo = v; });
+	migrationControls.append("label").style("margin-left", "8px")
+		.html(`<input id="migrationDecades" type="checkbox"> Every decade`)
+		.select("input")
+		.on("change", function () {
+			migrationDecades = this.checked;
+			updateSankey();
+		});
+
+	// Columns of the migration Sankey: the two chosen years, or every decade across the data
+	function migrationYears() {
+		if (migrationDecades) {
+			const years = d3.range(Math.ceil(yearMinAll / 10) * 10, yearMaxAll + 1, 10);
+			if (years[years.length - 1] !== yearMaxAll) years.push(yearMaxAll);
+			return years;
+		}
+		const [a, b] = [migrationFrom, migrationTo].sort((u, v) => u - v);
+		return a === b ? [a] : [a, b];
+	}
+
+	const INACTIVE = "Inactive";
+
+	// main subfield of each filtered author at each column year; "Inactive" when no counts in that year/mode
+	function migrationStates(years) {
+		return filteredAuthors.map(a => ({
+			author: a,
+			states: years.map(y => isActiveBy(a, y, mainMode) ? mainSubfieldFor(a, y, mainMode) : INACTIVE)
+		}));
+	}
+
+	function updateMigrationSankey() {
+		const years = migrationYears();
+		const nodeById = new Map();
+		const linkByKey = new Map();
+		const nodeId = (i, state) => `${years[i]}|${state}`;
+
+		for (const { author, states } of migrationStates(years)) {
+			states.forEach((state, i) => {
+				const id = nodeId(i, state);
+				if (!nodeById.has(id)) nodeById.set(id, { id, name: state, year: years[i], column: i });
+				if (i === 0) return;
+				const key = `${nodeId(i - 1, states[i - 1])}->${id}`;
+				if (!linkByKey.has(key)) linkByKey.set(key, { source: nodeId(i - 1, states[i - 1]), target: id, value: 0, authors: [] });
+				const link = linkByKey.get(key);
+				link.value += 1;
+				link.authors.push(author);
+			});
+		}
+
+		migrationLayer.selectAll("*").remove();
+		if (years.length < 2 || !linkByKey.size) {
+			migrationLayer.append("text")
+				.attr("x", innerW / 2).attr("y", innerH / 2).attr("text-anchor", "middle")
+				.style("font-family", "sans-serif").style("font-size", "13px")
+				.text("Choose two different years to see subfield migration");
+			return;
+		}
+
+		// stable vertical order: subfieldOrder, then other names, "Inactive" at the bottom
+		const rank = name => name === INACTIVE ? Infinity : (subfieldOrder.indexOf(name) + 1 || subfieldOrder.length);
+		const sankeyGen = d3.sankey()
+			.nodeId(d => d.id)
+			.nodeAlign(d => d.column)
+			.nodeSort((a, b) => rank(a.name) - rank(b.name) || d3.ascending(a.name, b.name))
+			.nodeWidth(16)
+			.nodePadding(8)
+			.extent([[200, 30], [innerW - 50, innerH - 50]]);
+
+		const graph = sankeyGen({
+			nodes: Array.from(nodeById.values()),
+			links: Array.from(linkByKey.values())
+		});
+
+		const nodeColor = name => name === INACTIVE ? "#cbd5e1" : (colorScale(name) || "#888");
+
+		migrationLayer.append("g")
+			.selectAll("path")
+			.data(graph.links)
+			.join("path")
+			.attr("class", "migration-link")
+			.attr("d", d3.sankeyLinkHorizontal())
+			.attr("fill", "none")
+			.attr("stroke", d => nodeColor(d.source.name))
+			.attr("stroke-width", d => Math.max(1, d.width))
+			.attr("opacity", 0.45)
+			.style("cursor", "pointer")
+			.on("mouseenter", function () { d3.select(this).attr("opacity", 0.75); })
+			.on("mouseleave", function () { d3.select(this).attr("opacity", 0.45); })
+			.on("click", (e, d) => openAuthorListPanel(
+				`${d.source.name} (${yearName(d.source.year)}) → ${d.target.name} (${yearName(d.target.year)})`,
+				d.authors.slice().sort((a, b) => d3.ascending(a.family_name, b.family_name)).map(author => ({ author }))
+			))
+			.append("title")
+			.text(d => `${d.source.name} (${yearName(d.source.year)}) → ${d.target.name} (${yearName(d.target.year)}): ${d.value} authors`);
+
+		migrationLayer.append("g")
+			.selectAll("rect")
+			.data(graph.nodes)
+			.join("rect")
+			.attr("x", d => d.x0)
+			.attr("y", d => d.y0)
+			.attr("width", d => d.x1 - d.x0)
+			.attr("height", d => Math.max(1, d.y1 - d.y0))
+			.attr("fill", d => nodeColor(d.name))
+			.attr("stroke", "#000");
+
+		// node labels on the outer sides, year headers above each column
+		const lastColumn = years.length - 1;
+		migrationLayer.append("g")
+			.selectAll("text")
+			.data(graph.nodes)
+			.join("text")
+			.attr("x", d => d.column === lastColumn ? d.x0 - 4 : d.x1 + 4)
+			.attr("y", d => (d.y0 + d.y1) / 2)
+			.attr("text-anchor", d => d.column === lastColumn ? "end" : "start")
+			.attr("alignment-baseline", "middle")
+			.style("font-family", "sans-serif")
+			.style("font-size", "11px")
+			.text(d => `${d.name} (${d.value})`);
+
+		migrationLayer.append("g")
+			.selectAll("text")
+			.data(years)
+			.join("text")
+			.attr("x", (y, i) => d3.mean(graph.nodes.filter(n => n.column === i), n => (n.x0 + n.x1) / 2))
+			.attr("y", 16)
+			.attr("text-anchor", "middle")
+			.style("font-family", "sans-serif")
+			.style("font-size", "13px")
+			.style("font-weight", "700")
+			.text(y => yearName(y));
+	}
+
+	// top contributing authors for Sankey tooltips
+	function topContributorsHtml(contributors, k = 5) {
+		if (!contributors.length) return "";
+		const rows = contributors.slice(0, k).map(c => `<li>${escapeHTML(c.author.name)} (${formatCount(c.value)})</li>`).join("");
+		const more = contributors.length > k ? `<div style="color:#6b7280">+${contributors.length - k} more</div>` : "";
+		return `<div style="margin-top:8px"><b>Top authors:</b></div><ul style="margin:4px 0 0 16px;padding:0">${rows}</ul>${more}`;
+	}
+
+	// Drill-down: narrowing filteredAuthors from the Sankey pushes the previous set on a stack,
+	// shown as a breadcrumb; clicking a crumb restores that set
+	let drillStack = []; // [{ label, authors }]
+
+	const breadcrumbDiv = container.append("div")
+		.attr("id", "drillBreadcrumb")
+		.style("position", "absolute")
+		.style("left", "330px")
+		.style("top", "52px")
+		.style("background", "#fff")
+		.style("padding", "6px 8px")
+		.style("border-radius", "8px")
+		.style("box-shadow", "0 8px 22px rgba(2,6,23,0.06)")
+		.style("font-family", "sans-serif")
+		.style("font-size", "12px")
+		.style("z-index", 900)
+		.style("display", "none");
+
+	function updateBreadcrumb() {
+		breadcrumbDiv.style("display", drillStack.length ? "block" : "none").html("");
+		const crumbs = [{ label: "All filtered" }, ...drillStack.map(s => ({ label: s.label }))];
+		crumbs.forEach((c, i) => {
+			if (i > 0) breadcrumbDiv.append("span").style("color", "#6b7280").text(" › ");
+			const last = i === crumbs.length - 1;
+			breadcrumbDiv.append("span")
+				.text(c.label)
+				.style("font-weight", last ? "700" : "400")
+				.style("color", last ? "#111" : "#2563eb")
+				.style("cursor", last ? "default" : "pointer")
+				.on("click", last ? null : () => restoreDrill(i));
+		});
+	}
+
+	function drillDown(label, contributors) {
+		if (!contributors.length) return;
+		drillStack.push({ label: `${label} (${contributors.length})`, authors: filteredAuthors });
+		filteredAuthors = contributors.map(c => c.author);
+		updateBreadcrumb();
+		updateAll(true);
+		openAuthorListPanel(label, contributors);
+	}
+
+	// go back to breadcrumb level `level` (0 = the set before any drill-down)
+	function restoreDrill(level) {
+		if (level >= drillStack.length) return;
+		filteredAuthors = drillStack[level].authors;
+		drillStack = drillStack.slice(0, level);
+		updateBreadcrumb();
+		updateAll(true);
+	}
+
+	function clearDrill() {
+		drillStack = [];
+		updateBreadcrumb();
+	}
+
+	// Data-quality report of the loaded file (button in the dataset bar)
+	function openQualityPanel() {
+		const byIndex = new Map(authorsRaw.map((a, i) => [quality.indices[i], a]));
+		const actionColors = { repaired: "#2563eb", skipped: "#b91c1c", kept: "#6b7280" };
+		const badge = action => `<span style="color:${actionColors[action]};font-weight:600">${action}</span>`;
+		const repaired = new Set(quality.issues.filter(iss => iss.action === 'repaired').flatMap(iss => iss.authors.map(x => x.index)));
+
+		const maxRows = 500; // rejected rows listed in the panel
+		const rejectedHtml = !rejectedRows.length ? "" : `<details style="margin-top:8px">
+			<summary><b>${rejectedRows.length}</b> import rows rejected · ${badge('skipped')}</summary>
+			<ul style="margin:6px 0 0 18px;padding:0">${rejectedRows.slice(0, maxRows).map(r =>
+				`<li>line ${r.line}: ${escapeHTML(r.reason)}</li>`).join("")}${rejectedRows.length > maxRows ? `<li>… ${rejectedRows.length - maxRows} more</li>` : ""}</ul>
+		</details>`;
+		const issueHtml = iss => `<details style="margin-top:8px">
+			<summary><b>${iss.authors.length}</b> ${escapeHTML(iss.label)} · ${badge(iss.action)}</summary>
+			<ul style="margin:6px 0 0 18px;padding:0">${iss.authors.map(x => `<li>${byIndex.has(x.index)
+				? `<a href="#" class="authorLink" data-index="${x.index}">${escapeHTML(x.name)}</a>`
+				: escapeHTML(x.name)}${x.detail ? ` <span style="color:#6b7280">(${escapeHTML(x.detail)})</span>` : ""}</li>`).join("")}</ul>
+		</details>`;
+
+		openSidePanel(`<h2 style="margin:0">Data quality</h2>
+		<div style="margin-top:6px;color:#6b7280">${rawArray.length} records: ${authorsRaw.length} loaded
+			(${repaired.size} ${badge('repaired')}), ${quality.skipped} ${badge('skipped')}</div>
+		${rejectedHtml}
+		${quality.issues.length || rejectedRows.length ? quality.issues.map(issueHtml).join("") : `<div style="margin-top:10px">No issues found.</div>`}
+		<div style="margin-top:12px"><button id="sideCloseBtn" style="padding:6px 8px;border-radius:6px;border:0;background:#2563eb;color:#fff;cursor:pointer">Close</button></div>`);
+		sidePanel.selectAll("a.authorLink").on("click", function (e) {
+			e.preventDefault();
+			openAuthorPanel(byIndex.get(+this.dataset.index));
+		});
+		d3.select("#sideCloseBtn").on("click", closeSidePanel);
+		if (selectedAuthor) {
+			selectedAuthor = null;
+			updateHighlight();
+			scheduleHashUpdate();
+		}
+	}
+	const issueCount = d3.sum(quality.issues, iss => iss.authors.length) + rejectedRows.length;
+	qualityBtn.text(issueCount ? `Data quality: ${issueCount} issue${issueCount === 1 ? "" : "s"}` : "Data quality: OK")
+		.style("display", null)
+		.on("click", openQualityPanel);
+
+	// side panel listing several authors; each name opens the author's own panel
+	function openAuthorListPanel(title, contributors) {
+		openSidePanel(`<h2 style="margin:0">${escapeHTML(title)}</h2>
+		<div style="margin-top:6px;color:#6b7280">${contributors.length} author${contributors.length === 1 ? "" : "s"}</div>
+		<ul style="margin:10px 0 0 18px;padding:0">${contributors.map((c, i) =>
+			`<li><a href="#" class="authorLink" data-index="${i}">${escapeHTML(c.author.name)}</a>${c.value !== undefined ? ` (${formatCount(c.value)})` : ""}</li>`).join("")}</ul>
+		<div style="margin-top:12px"><button id="sideCloseBtn" style="padding:6px 8px;border-radius:6px;border:0;background:#2563eb;color:#fff;cursor:pointer">Close</button></div>`);
+		sidePanel.selectAll("a.authorLink").on("click", function (e) {
+			e.preventDefault();
+			openAuthorPanel(contributors[+this.dataset.index].author);
+		});
+		d3.select("#sideCloseBtn").on("click", closeSidePanel);
+		if (selectedAuthor) {
+			selectedAuthor = null;
+			updateHighlight();
+			scheduleHashUpdate();
+		}
+	}
+
+	// Side panel comparing cohorts A and B: subfield shares at the current year and inner/outer group
+	// interdisciplinarity over time, with 95% bootstrap intervals over authors (current mode, counting and index).
+	// Intervals and flags are per subfield and per year, without a multiple-comparison correction
+	let compareToken = 0; // id of the latest comparison; an older one stops resampling
+	function openComparePanel() {
+		const cohortLine = key => `<div style="margin-top:4px"><span style="color:${cohortColors[key]};font-weight:700">${key}</span>
+			${cohorts[key].authors.length} authors · <code>${escapeHTML(cohorts[key].query || "all authors")}</code></div>`;
+		openSidePanel(`<h2 style="margin:0">Cohort comparison</h2>
+		${cohortLine("A")}${cohortLine("B")}
+		<div id="compareBody" style="margin-top:10px;color:#6b7280">Resampling…</div>
+		<div style="margin-top:12px"><button id="sideCloseBtn" style="padding:6px 8px;border-radius:6px;border:0;background:#2563eb;color:#fff;cursor:pointer">Close</button></div>`);
+		d3.select("#sideCloseBtn").on("click", closeSidePanel);
+		if (selectedAuthor) {
+			selectedAuthor = null;
+			updateHighlight();
+			scheduleHashUpdate();
+		}
+		// let the panel show before the resampling
+		const token = ++compareToken;
+		setTimeout(() => {
+			const body = d3.select("#compareBody");
+			if (!body.empty()) renderComparison(body, cohorts.A.authors, cohorts.B.authors, token);
+		}, 0);
+	}
+
+	function renderComparison(body, authorsA, authorsB, token) {
+		const pct = v => Number.isFinite(v) ? `${(v * 100).toFixed(1)}%` : "–";
+		const flag = r => r.significant ? ` <b style="color:#b91c1c" title="95% interval of A − B excludes 0 (uncorrected)">*</b>` : "";
+
+		// subfield shares at currentYear
+		const profilesA = authorProfiles(authorsA, currentYear), profilesB = authorProfiles(authorsB, currentYear);
+		const present = new Set(profilesA.concat(profilesB).flatMap(c => Object.keys(c).filter(k => c[k] > 0)));
+		const keys = subfieldOrder.filter(sf => present.has(sf)).concat(Array.from(present).filter(sf => !subfieldOrder.includes(sf)).sort());
+		const shares = profiles => {
+			const sum = sumCounts(profiles);
+			const total = d3.sum(keys, k => sum[k] || 0);
+			return keys.map(k => total ? (sum[k] || 0) / total : NaN);
+		};
+		const shareRows = compareGroups(profilesA, profilesB, shares, { resamples: 1000 });
+		const bar = (v, key) => `<div style="height:5px;width:${Math.max(0, (v || 0) * 100)}%;background:${cohortColors[key]}"></div>`;
+		const sharesHtml = `<div style="margin-top:6px"><b>Subfield shares</b> (${escapeHTML(modeSpanLabel(currentYear))})</div>
+			<table style="width:100%;border-collapse:collapse;font-size:11px;margin-top:4px">
+			<tr style="color:#6b7280"><td></td><td>A [95% CI]</td><td>B [95% CI]</td></tr>
+			${keys.map((k, i) => {
+				const r = shareRows[i];
+				return `<tr style="border-top:1px solid #f1f5f9">
+				<td style="padding:3px 4px 3px 0"><span style="display:inline-block;width:8px;height:8px;background:${colorScale(k)}"></span> ${escapeHTML(shortLabel(k))}${flag(r)}</td>
+				<td style="width:34%">${pct(r.a)} <span style="color:#6b7280">[${pct(r.aLo)}–${pct(r.aHi)}]</span>${bar(r.a, "A")}</td>
+				<td style="width:34%">${pct(r.b)} <span style="color:#6b7280">[${pct(r.bLo)}–${pct(r.bHi)}]</span>${bar(r.b, "B")}</td></tr>`;
+			}).join("")}</table>`;
+
+		// inner and outer group interdisciplinarity for every year; fewer resamples for large cohorts
+		const years = d3.range(yearMinAll, yearMaxAll + 1);
+		const resamples = Math.max(50, Math.min(200, Math.round(1e6 / ((authorsA.length + authorsB.length) * years.length))));
+		// undefined (NaN) for a resample without any counts, e.g. before a cohort's first works
+		const index = fieldType => profiles => {
+			const sum = sumCounts(profiles);
+			return Object.values(sum).some(v => v > 0) ? diversity(sum, diversityMetric, subfieldDistances, categoryCount(fieldType)) : NaN;
+		};
+		const series = ['subfield', 'external'].map(fieldType => ({ fieldType, values: [] }));
+
+		// one year per step, so the page stays responsive on large cohorts
+		const step = () => {
+			if (token !== compareToken || !sidePanelOpen || !body.node().isConnected) return; // closed or replaced
+			const year = years[series[0].values.length];
+			for (const s of series) {
+				s.values.push({
+					year,
+					...compareGroups(authorProfiles(authorsA, year, mainMode, s.fieldType), authorProfiles(authorsB, year, mainMode, s.fieldType), index(s.fieldType), { resamples, seed: year })
+				});
+			}
+			if (series[0].values.length < years.length) {
+				body.text(`Resampling… ${series[0].values.length} of ${years.length} years`);
+				setTimeout(step, 0);
+			} else {
+				drawComparison(body, sharesHtml, series, resamples);
+			}
+		};
+		step();
+	}
+
+	function drawComparison(body, sharesHtml, series, resamples) {
+		const years = series[0].values.length;
+		body.style("color", null).html(sharesHtml + series.map(s => {
+			const significant = s.values.filter(v => v.significant);
+			const higherA = significant.filter(v => v.diff > 0).length;
+			return `<div style="margin-top:12px"><b>${s.fieldType === 'subfield' ? "Inner" : "Outer"} interdisciplinarity</b>
+				<span style="color:#6b7280">(${escapeHTML(diversityIndices[diversityMetric].label)})</span></div>
+				<div class="compareChart" data-type="${s.fieldType}"></div>
+				<div style="color:#6b7280">Significant in ${significant.length} of ${years} years
+				(A higher in ${higherA}, B higher in ${significant.length - higherA}), ${resamples} resamples</div>`;
+		}).join("") + `<div style="margin-top:10px;color:#6b7280;font-size:11px">Intervals and * marks are 95% per subfield and per year,
+			not corrected for multiple comparisons: about 1 test in 20 is flagged by chance alone.</div>`);
+
+		// one chart per index: lines with interval bands, significant years marked along the top
+		const cw = 340, ch = 130, cm = { top: 10, right: 8, bottom: 18, left: 38 };
+		const x = d3.scaleLinear().domain([yearMinAll, yearMaxAll]).range([cm.left, cw - cm.right]);
+		series.forEach(s => {
+			const y = d3.scaleLinear()
+				.domain([0, Math.max(1e-6, d3.max(s.values, v => Math.max(v.aHi || 0, v.bHi || 0, v.a || 0, v.b || 0)))]).nice()
+				.range([ch - cm.bottom, cm.top]);
+			const svgC = body.select(`.compareChart[data-type="${s.fieldType}"]`).append("svg").attr("width", cw).attr("height", ch);
+			svgC.append("g").attr("class", "axis").attr("transform", `translate(0,${ch - cm.bottom})`)
+				.call(d3.axisBottom(x).ticks(career ? 3 : 5).tickFormat(yearName));
+			svgC.append("g").attr("class", "axis").attr("transform", `translate(${cm.left},0)`)
+				.call(d3.axisLeft(y).ticks(4).tickFormat(v => formatDiversity(v, diversityMetric)));
+			for (const key of ["A", "B"]) {
+				const k = key.toLowerCase();
+				const defined = v => Number.isFinite(v[`${k}Lo`]);
+				svgC.append("path").attr("fill", cohortColors[key]).attr("opacity", 0.15)
+					.attr("d", d3.area().defined(defined).x(v => x(v.year)).y0(v => y(v[`${k}Lo`])).y1(v => y(v[`${k}Hi`]))(s.values));
+				svgC.append("path").attr("fill", "none").attr("stroke", cohortColors[key]).attr("stroke-width", 1.5)
+					.attr("d", d3.line().defined(v => Number.isFinite(v[k])).x(v => x(v.year)).y(v => y(v[k]))(s.values));
+			}
+			svgC.append("g").selectAll("rect")
+				.data(s.values.filter(v => v.significant))
+				.join("rect")
+				.attr("x", v => x(v.year) - 1.5).attr("y", 0).attr("width", 3).attr("height", 5)
+				.attr("fill", v => cohortColors[v.diff > 0 ? "A" : "B"])
+				.append("title").text(v => `${yearName(v.year)}: A − B = ${formatDiversity(v.diff, diversityMetric)}`);
+			svgC.append("line").attr("stroke", "#0f172a").attr("stroke-dasharray", "3,2")
+				.attr("x1", x(currentYear)).attr("x2", x(currentYear)).attr("y1", cm.top).attr("y2", ch - cm.bottom);
+		});
+	}
 
 	function updateSankey() {
-		// Aggregate pair totals across filteredAuthors using the precomputed author._sankeyPairs
+		if (sankeyKind === 'migration') {
+			sankeyLayer.style("display", "none");
+			migrationLayer.style("display", "block");
+			updateMigrationSankey();
+			return;
+		}
+		sankeyLayer.style("display", "block");
+		migrationLayer.style("display", "none");
+
+		// Aggregate pair totals across filteredAuthors
 		const pairTotals = new Map(); // pair -> total count
+		const pairAuthors = new Map(); // pair -> [{ author, value }] (for tooltips and drill-down)
 
 		for (const author of filteredAuthors) {
-			const sankey = author._sankeyPairs || { year: {}, entire: {} };
-			let pairs = {};
-
-			if (mainMode === 'year') {
-				pairs = sankey.year?.[String(currentYear)] || {};
-			} else { // 'entire' mode: take cumulative up to currentYear from author's precomputed cumulative map
-				const years = Object.keys(sankey.entire || {}).map(Number).filter(y => !isNaN(y) && y <= currentYear);
-				if (years.length) {
-					const yy = Math.max(...years);
-					pairs = sankey.entire[yy] || {};
-				} else {
-					pairs = {};
-				}
-			}
+			// mode-aware pair counts from the author's precomputed caches, weighed by the counting mode
+			const pairs = weighCounts(countsForFields(author, currentYear, mainMode));
 
 			for (const [pair, val] of Object.entries(pairs || {})) {
 				const v = Number(val || 0);
 				if (v <= 0) continue;
 				pairTotals.set(pair, (pairTotals.get(pair) || 0) + v);
+				if (!pairAuthors.has(pair)) pairAuthors.set(pair, []);
+				pairAuthors.get(pair).push({ author, value: v });
 			}
 		}
 
-		// nothing to draw -> clear sankey visuals and return
-		if (!pairTotals.size) {
-			sankeyLayer.selectAll("*").remove();
-			phantomLayer.selectAll("*").remove();
-			g.selectAll(".sankeyLabelLayer").remove();
-			return;
-		}
-
 		// Build links and nodes
 		const links = [];
 		const nodesSet = new Set();
@@ -468,118 +1247,644 @@ d3.json("./json/authors.json").then(rawData => {
 			if (parts.length < 2) continue;
 			const subfield = parts[0];
 			const field = parts[1];
-			links.push({ source: subfield, target: field, value: count });
+			links.push({ source: subfield, target: field, value: count, pair });
 			nodesSet.add(subfield);
 			nodesSet.add(field);
 		}
-
-		if (!links.length) {
-			sankeyLayer.selectAll("*").remove();
-			phantomLayer.selectAll("*").remove();
-			g.selectAll(".sankeyLabelLayer").remove();
-			return;
+
+		phantomLayer.selectAll("*").remove(); // keep behavior from original
+
+		// nothing to draw -> let the current nodes and links transition out
+		if (!links.length) {
+			drawSankey({ nodes: [], links: [] }, () => []);
+			return;
+		}
+
+		const nodes = Array.from(nodesSet).map(name => ({ name }));
+		const nameToIndex = new Map(nodes.map((d, i) => [d.name, i]));
+		const sankeyLinks = links.map(l => ({
+			source: nameToIndex.get(l.source),
+			target: nameToIndex.get(l.target),
+			value: l.value,
+			pair: l.pair
+		}));
+
+		// contributing authors of a link, or of every link touching a node, merged and sorted by count
+		const contributorsOf = pairs => {
+			const byAuthor = new Map();
+			for (const pair of pairs) {
+				for (const { author, value } of pairAuthors.get(pair) || []) {
+					byAuthor.set(author, (byAuthor.get(author) || 0) + value);
+				}
+			}
+			return Array.from(byAuthor, ([author, value]) => ({ author, value })).sort((a, b) => b.value - a.value);
+		};
+
+		// Run layout (give fresh plain objects so d3 can mutate them)
+		const graph = sankeyGen({
+			nodes: nodes.map(d => Object.assign({}, d)),
+			links: sankeyLinks.map(d => Object.assign({}, d))
+		});
+
+		drawSankey(graph, contributorsOf);
+	}
+
+	// Stable Sankey ordering: subfields by subfieldOrder (left), external fields by their
+	// dataset-wide total (right), so nodes keep their slot from one year to the next
+	const sankeyFieldOrder = (() => {
+		const totals = new Map();
+		for (const a of authorsRaw) {
+			for (const [pair, v] of Object.entries(cumulativeAt(a, 'pair', Infinity))) {
+				const field = String(pair).split('---')[1];
+				if (field !== undefined) totals.set(field, (totals.get(field) || 0) + v);
+			}
+		}
+		return Array.from(totals.keys()).sort((u, v) => totals.get(v) - totals.get(u) || d3.ascending(u, v));
+	})();
+
+	const sankeyRank = name => {
+		const i = subfieldOrder.indexOf(name);
+		if (i >= 0) return i;
+		const j = sankeyFieldOrder.indexOf(name);
+		return j >= 0 ? subfieldOrder.length + j : Infinity;
+	};
+
+	// Sankey layout area
+	const sankeyLeft = 200;
+	const sankeyRight = innerW - 50;
+	const sankeyWidth = sankeyRight - sankeyLeft;
+
+	const sankeyGen = d3.sankey()
+		.nodeWidth(20)
+		.nodePadding(10)
+		.nodeSort((u, v) => sankeyRank(u.name) - sankeyRank(v.name))
+		.linkSort((u, v) => sankeyRank(u.source.name) - sankeyRank(v.source.name) || sankeyRank(u.target.name) - sankeyRank(v.target.name))
+		.extent([[sankeyLeft, 20], [sankeyRight, innerH - 50]]);
+
+	const sankeyDuration = 750;
+
+	// Draw a laid-out graph into the persistent Sankey groups, tweening from the previous year
+	function drawSankey(graph, contributorsOf) {
+		const t = sankeyLayer.transition("sankey").duration(sankeyDuration).ease(d3.easeCubicInOut);
+		const nodePairs = d => [...d.sourceLinks, ...d.targetLinks].map(l => l.pair);
+
+		// GRADIENTS: one per pair, reused across redraws; horizontal in user space so only x matters
+		const safe = s => String(s).replace(/\W+/g, "_").replace(/^_+|_+$/g, "");
+		const gradId = d => `grad_${safe(d.source.name)}__${safe(d.target.name)}`;
+		sankeyDefs.selectAll("linearGradient")
+			.data(graph.links, d => gradId(d))
+			.join(enter => enter.append("linearGradient")
+				.attr("id", gradId)
+				.attr("gradientUnits", "userSpaceOnUse")
+				.attr("y1", 0)
+				.attr("y2", 0)
+				.call(gr => gr.append("stop").attr("offset", "0%").attr("stop-color", d => colorScale(d.source.name) || "#888"))
+				.call(gr => gr.append("stop").attr("offset", "100%").attr("stop-color", d => colorScale(d.target.name) || "#888")))
+			.attr("x1", d => d.source.x1)
+			.attr("x2", d => d.target.x0);
+
+		// LINKS: keyed by sourceName->targetName; new links grow from zero width, old ones shrink away
+		const linkKey = d => `${d.source.name}->${d.target.name}`;
+		sankeyLinksG.selectAll("path.sankey-link")
+			.data(graph.links, linkKey)
+			.join(
+				enter => enter.append("path")
+					.attr("class", "sankey-link")
+					.attr("fill", "none")
+					.attr("opacity", 0.8)
+					.style("cursor", "pointer")
+					.attr("d", d3.sankeyLinkHorizontal())
+					.attr("stroke-width", 0),
+				update => update,
+				exit => exit.transition(t).attr("stroke-width", 0).remove()
+			)
+			.attr("stroke", d => `url(#${gradId(d)})`)
+			.on("mousemove", (e, d) => {
+				const contributors = contributorsOf([d.pair]);
+				const pct = total => `${(d.value / (total || 1) * 100).toFixed(1)}%`;
+				tooltip.style("display", "block")
+					.style("left", `${e.pageX + 12}px`).style("top", `${e.pageY + 12}px`)
+					.html(`<div style="font-weight:700">${escapeHTML(d.source.name)} → ${escapeHTML(d.target.name)}</div>
+					<div style="margin-top:6px"><b>Count:</b> ${formatCount(d.value)}</div>
+					<div><b>Share of ${escapeHTML(d.source.name)}:</b> ${pct(d.source.value)}</div>
+					<div><b>Share of ${escapeHTML(d.target.name)}:</b> ${pct(d.target.value)}</div>
+					${topContributorsHtml(contributors)}`);
+			})
+			.on("mouseout", () => tooltip.style("display", "none"))
+			.on("click", (e, d) => {
+				tooltip.style("display", "none");
+				drillDown(`${d.source.name} → ${d.target.name}`, contributorsOf([d.pair]));
+			})
+			.transition(t)
+			.attr("d", d3.sankeyLinkHorizontal())
+			.attr("stroke-width", d => Math.max(1, d.width));
+
+		// NODES: keyed by name; enter at their final slot with zero height
+		sankeyNodesG.selectAll("rect.sankey-node")
+			.data(graph.nodes, d => d.name)
+			.join(
+				enter => enter.append("rect")
+					.attr("class", "sankey-node")
+					.attr("stroke", "#000")
+					.attr("x", d => d.x0)
+					.attr("y", d => (d.y0 + d.y1) / 2)
+					.attr("width", d => d.x1 - d.x0)
+					.attr("height", 0),
+				update => update,
+				exit => exit.transition(t).attr("height", 0).attr("opacity", 0).remove()
+			)
+			.attr("fill", d => colorScale(d.name) || "#888")
+			.style("cursor", "pointer")
+			.on("mousemove", (e, d) => {
+				tooltip.style("display", "block")
+					.style("left", `${e.pageX + 12}px`).style("top", `${e.pageY + 12}px`)
+					.html(`<div style="font-weight:700">${escapeHTML(d.name)}</div>
+					<div style="margin-top:6px"><b>Count:</b> ${formatCount(d.value)}</div>
+					${topContributorsHtml(contributorsOf(nodePairs(d)))}`);
+			})
+			.on("mouseout", () => tooltip.style("display", "none"))
+			.on("click", (e, d) => {
+				tooltip.style("display", "none");
+				drillDown(d.name, contributorsOf(nodePairs(d)));
+			})
+			.transition(t)
+			.attr("opacity", 1)
+			.attr("x", d => d.x0)
+			.attr("y", d => d.y0)
+			.attr("width", d => d.x1 - d.x0)
+			.attr("height", d => d.y1 - d.y0);
+
+		// LABELS: keyed by name, slide with their node
+		const leftSide = d => d.x0 < sankeyLeft + sankeyWidth / 2;
+		sankeyLabelsG.selectAll("text.sankey-label")
+			.data(graph.nodes, d => d.name)
+			.join(
+				enter => enter.append("text")
+					.attr("class", "sankey-label")
+					.attr("alignment-baseline", "middle")
+					.style("font-family", "sans-serif")
+					.style("font-size", "12px")
+					.attr("opacity", 0)
+					.attr("x", d => leftSide(d) ? d.x1 + 4 : d.x0 - 4)
+					.attr("y", d => (d.y1 + d.y0) / 2),
+				update => update,
+				exit => exit.transition(t).attr("opacity", 0).remove()
+			)
+			.attr("text-anchor", d => leftSide(d) ? "start" : "end")
+			.text(d => d.name)
+			.transition(t)
+			.attr("opacity", 1)
+			.attr("x", d => leftSide(d) ? d.x1 + 4 : d.x0 - 4)
+			.attr("y", d => (d.y1 + d.y0) / 2);
+	}
+
+	// -------------------------------------------------------------------------------------------------------------------------
+	// SCATTER PLOT ------------------------------------------------------------------------------------------------------------
+	// -------------------------------------------------------------------------------------------------------------------------
+	// Filtered authors active at currentYear: interdisciplinarity (current index and mode) against an impact metric.
+	// Brushing selects authors, who are then highlighted in the force view too; a click opens the side panel.
+	const scatterMetrics = {
+		hindex: { label: "H-Index", value: a => a.hindex },
+		i10: { label: "I10-Index", value: a => a.i10index },
+		works: { label: "Works", value: a => a.works_count },
+		cited: { label: "Cited By", value: a => a.cited_by_count },
+		citesPerWork: { label: "Citations per work", value: a => a.works_count > 0 ? a.cited_by_count / a.works_count : NaN }
+	};
+	let scatterMetric = 'hindex';
+	let scatterLog = false;
+	let brushedIds = null; // Set of author ids, or null when nothing is brushed
+
+	const scatterControls = container.append("div")
+		.attr("id", "scatterControls")
+		.style("position", "absolute")
+		.style("left", "330px")
+		.style("top", "10px")
+		.style("background", "#fff")
+		.style("padding", "6px 8px")
+		.style("border-radius", "8px")
+		.style("box-shadow", "0 8px 22px rgba(2,6,23,0.06)")
+		.style("font-family", "sans-serif")
+		.style("font-size", "12px")
+		.style("z-index", 900)
+		.style("display", "none");
+
+	scatterControls.append("span").text("Y axis ");
+	scatterControls.append("select")
+		.attr("id", "scatterMetric")
+		.style("padding", "4px")
+		.html(Object.entries(scatterMetrics).map(([k, m]) => `<option value="${k}">${escapeHTML(m.label)}</option>`).join(""))
+		.on("change", function () {
+			scatterMetric = this.value;
+			updateScatter();
+			scheduleHashUpdate();
+		});
+	scatterControls.append("label").style("margin-left", "8px")
+		.html(`<input id="scatterLog" type="checkbox"> Log scale`)
+		.select("input")
+		.on("change", function () {
+			scatterLog = this.checked;
+			updateScatter();
+			scheduleHashUpdate();
+		});
+	const scatterNote = scatterControls.append("span").attr("id", "scatterNote").style("margin-left", "8px").style("color", "#6b7280");
+
+	// plot area, right of the panels
+	const scatterLeft = 360, scatterRight = innerW - 30, scatterTop = 60, scatterBottom = innerH - 60;
+	const scatterLayer = g.append("g").attr("class", "scatterLayer").style("display", "none");
+	const scatterXAxis = scatterLayer.append("g").attr("class", "axis").attr("transform", `translate(0,${scatterBottom})`);
+	const scatterYAxis = scatterLayer.append("g").attr("class", "axis").attr("transform", `translate(${scatterLeft},0)`);
+	const scatterXLabel = scatterLayer.append("text")
+		.attr("x", (scatterLeft + scatterRight) / 2).attr("y", scatterBottom + 36)
+		.attr("text-anchor", "middle").style("font-family", "sans-serif").style("font-size", "12px");
+	const scatterYLabel = scatterLayer.append("text")
+		.attr("transform", `translate(${scatterLeft - 44},${(scatterTop + scatterBottom) / 2}) rotate(-90)`)
+		.attr("text-anchor", "middle").style("font-family", "sans-serif").style("font-size", "12px");
+	const scatterBrushG = scatterLayer.append("g").attr("class", "scatterBrush");
+	const scatterPointsG = scatterLayer.append("g").attr("class", "scatterPoints"); // above the brush, so points stay clickable
+
+	let scatterX = d3.scaleLinear();
+	let scatterY = d3.scaleLinear();
+	const scatterBrush = d3.brush()
+		.extent([[scatterLeft, scatterTop], [scatterRight, scatterBottom]])
+		.on("end", e => {
+			if (!e.sourceEvent) return; // cleared by updateScatter
+			if (!e.selection) {
+				setBrushed(null);
+				return;
+			}
+			const [[x0, y0], [x1, y1]] = e.selection;
+			const ids = scatterPointsG.selectAll("circle").data()
+				.filter(d => {
+					const x = scatterX(d.x), y = scatterY(d.y);
+					return x >= x0 && x <= x1 && y >= y0 && y <= y1;
+				})
+				.map(d => d.author.id);
+			setBrushed(new Set(ids));
+		});
+	scatterBrushG.call(scatterBrush);
+
+	function setBrushed(ids) {
+		brushedIds = ids;
+		clearBrushBtn.style("display", ids ? null : "none").text(`Clear selection (${ids ? ids.size : 0})`);
+		if (view === 'scatter') updateScatter();
+		updateNodeSelection();
+	}
+
+	function updateScatter() {
+		const metric = scatterMetrics[scatterMetric];
+		const points = [];
+		let missing = 0;
+		for (const a of filteredAuthors) {
+			if (!isActiveBy(a, currentYear, mainMode)) continue;
+			const y = Number(metric.value(a));
+			if (!Number.isFinite(y) || (scatterLog && y <= 0)) {
+				missing++;
+				continue;
+			}
+			points.push({ author: a, x: interdisciplinarity(a, currentYear, mainMode), y, subfield: mainSubfieldFor(a, currentYear, mainMode) });
+		}
+
+		scatterX = d3.scaleLinear().domain([0, d3.max(points, d => d.x) || 1]).nice().range([scatterLeft, scatterRight]);
+		const [yMin, yMax] = points.length ? d3.extent(points, d => d.y) : [1, 10];
+		scatterY = (scatterLog
+			? d3.scaleLog().domain([yMin, Math.max(yMax, yMin * 10)])
+			: d3.scaleLinear().domain([0, yMax || 1])
+		).nice().range([scatterBottom, scatterTop]);
+
+		const t = d3.transition().duration(500);
+		scatterXAxis.call(d3.axisBottom(scatterX).ticks(8).tickFormat(v => formatDiversity(v, diversityMetric)));
+		scatterYAxis.call(d3.axisLeft(scatterY).ticks(8, scatterLog ? "~s" : undefined));
+		scatterXLabel.text(`Interdisciplinarity (${diversityIndices[diversityMetric].label}), ${modeSpanLabel(currentYear)}`);
+		scatterYLabel.text(metric.label + (scatterLog ? " (log)" : ""));
+		scatterNote.text(`${points.length} authors` + (missing ? `, ${missing} without ${scatterLog ? "a positive value" : "a value"}` : "")
+			+ (brushedIds ? `, ${points.filter(d => brushedIds.has(d.author.id)).length} selected` : ""));
+
+		scatterPointsG.selectAll("circle")
+			.data(points, d => d.author.id)
+			.join(
+				enter => enter.append("circle")
+					.attr("r", 4)
+					.attr("cx", d => scatterX(d.x))
+					.attr("cy", d => scatterY(d.y))
+					.style("cursor", "pointer")
+					.on("mousemove", (e, d) => {
+						tooltip.style("display", "block")
+							.style("left", `${e.pageX + 12}px`).style("top", `${e.pageY + 12}px`)
+							.html(`<b>${escapeHTML(d.author.name)}</b><br>${escapeHTML(d.subfield)}<br>`
+								+ `Interdisciplinarity: ${diversityLabel(d.x)}<br>${escapeHTML(scatterMetrics[scatterMetric].label)}: ${d3.format(",.4~f")(d.y)}`);
+					})
+					.on("mouseout", () => tooltip.style("display", "none"))
+					.on("click", (e, d) => openAuthorPanel(d.author))
+			)
+			.attr("fill", d => colorScale(d.subfield))
+			.attr("stroke", d => brushedIds && brushedIds.has(d.author.id) ? "#0f172a" : null)
+			.attr("opacity", d => brushedIds && !brushedIds.has(d.author.id) ? 0.2 : 0.85)
+			.transition(t)
+			.attr("cx", d => scatterX(d.x))
+			.attr("cy", d => scatterY(d.y));
+
+		// the points moved: drop the brush rectangle but keep the selection
+		scatterBrushG.call(scatterBrush.move, null);
+	}
+
+	// -------------------------------------------------------------------------------------------------------------------------
+	// STREAM (STACKED AREAS OVER TIME) ----------------------------------------------------------------------------------------
+	// -------------------------------------------------------------------------------------------------------------------------
+	// Every year at once for filteredAuthors, with the counts of the current mode: works per subfield, their shares,
+	// or authors per main subfield. Hovering a year moves the slider there.
+	const streamMeasures = {
+		counts: { label: "Works by subfield" },
+		shares: { label: "Share of works by subfield" },
+		authors: { label: "Authors by main subfield" }
+	};
+	let streamMeasure = 'counts';
+
+	const streamControls = container.append("div")
+		.attr("id", "streamControls")
+		.style("position", "absolute")
+		.style("left", "330px")
+		.style("top", "10px")
+		.style("background", "#fff")
+		.style("padding", "6px 8px")
+		.style("border-radius", "8px")
+		.style("box-shadow", "0 8px 22px rgba(2,6,23,0.06)")
+		.style("font-family", "sans-serif")
+		.style("font-size", "12px")
+		.style("z-index", 900)
+		.style("display", "none");
+
+	streamControls.append("select")
+		.attr("id", "streamMeasure")
+		.style("padding", "4px")
+		.html(Object.entries(streamMeasures).map(([k, m]) => `<option value="${k}">${escapeHTML(m.label)}</option>`).join(""))
+		.on("change", function () {
+			streamMeasure = this.value;
+			updateStream();
+			scheduleHashUpdate();
+		});
+
+	// plot area, same as the scatter plot
+	const streamX = d3.scaleLinear().domain([yearMinAll, yearMaxAll]).range([scatterLeft, scatterRight]);
+	const streamY = d3.scaleLinear().range([scatterBottom, scatterTop]);
+	const streamLayer = g.append("g").attr("class", "streamLayer").style("display", "none");
+	const streamXAxis = streamLayer.append("g").attr("class", "axis").attr("transform", `translate(0,${scatterBottom})`);
+	const streamYAxis = streamLayer.append("g").attr("class", "axis").attr("transform", `translate(${scatterLeft},0)`);
+	const streamYLabel = streamLayer.append("text")
+		.attr("transform", `translate(${scatterLeft - 44},${(scatterTop + scatterBottom) / 2}) rotate(-90)`)
+		.attr("text-anchor", "middle").style("font-family", "sans-serif").style("font-size", "12px");
+	const streamHover = streamLayer.append("g"); // background and areas, for the year under the pointer
+	streamHover.append("rect")
+		.attr("x", scatterLeft).attr("y", scatterTop)
+		.attr("width", scatterRight - scatterLeft).attr("height", scatterBottom - scatterTop)
+		.attr("fill", "transparent");
+	const streamAreas = streamHover.append("g");
+	const streamMarker = streamLayer.append("line")
+		.attr("stroke", "#0f172a").attr("stroke-dasharray", "3,2").attr("pointer-events", "none")
+		.attr("y1", scatterTop).attr("y2", scatterBottom);
+
+	// rows: one per year, {year, subfield: value, ...}
+	let streamRows = [];
+	let streamInputs = null;
+
+	streamHover
+		.on("mousemove", e => {
+			const year = Math.max(yearMinAll, Math.min(yearMaxAll, Math.round(streamX.invert(d3.pointer(e, streamHover.node())[0]))));
+			if (year !== currentYear) setYear(year, false, false);
+			const row = streamRows.find(r => r.year === year);
+			const key = d3.select(e.target).datum()?.key;
+			const format = streamMeasure === 'shares' ? d3.format(".1%") : formatCount;
+			const lines = row ? Object.keys(row).filter(k => k !== "year" && row[k] > 0).sort((a, b) => row[b] - row[a]) : [];
+			tooltip.style("display", "block")
+				.style("left", `${e.pageX + 12}px`).style("top", `${e.pageY + 12}px`)
+				.html(`<b>${yearName(year)}</b>` + lines.slice(0, 8).map(k => `<br>${k === key ? "<b>" : ""}${escapeHTML(shortLabel(k))}: ${format(row[k])}${k === key ? "</b>" : ""}`).join("")
+					+ (lines.length > 8 ? `<br>… ${lines.length - 8} more` : ""));
+		})
+		.on("mouseout", () => tooltip.style("display", "none"))
+		.on("click", () => scheduleHashUpdate()); // hovering previews years, a click records the one shown
+
+	function streamValues(year) {
+		const out = {};
+		if (streamMeasure === 'authors') {
+			for (const a of filteredAuthors) {
+				if (!isActiveBy(a, year, mainMode)) continue;
+				const sf = mainSubfieldFor(a, year, mainMode);
+				out[sf] = (out[sf] || 0) + 1;
+			}
+			return out;
+		}
+		for (const a of filteredAuthors) {
+			for (const [sf, v] of Object.entries(weighCounts(countsFor(a, year, mainMode)))) out[sf] = (out[sf] || 0) + v;
+		}
+		if (streamMeasure === 'shares') {
+			const total = d3.sum(Object.values(out));
+			for (const sf of Object.keys(out)) out[sf] /= total;
 		}
+		return out;
+	}
 
-		const nodes = Array.from(nodesSet).map(name => ({ name }));
-		const nameToIndex = new Map(nodes.map((d, i) => [d.name, i]));
-		const sankeyLinks = links.map(l => ({
-			source: nameToIndex.get(l.source),
-			target: nameToIndex.get(l.target),
-			value: l.value
-		}));
+	// what the value of a year covers in the current mode
+	function streamModeLabel() {
+		if (mainMode === 'year') return "per year";
+		if (mainMode === 'window') return `${windowSize}-year window`;
+		if (mainMode === 'decay') return `cumulative, half-life ${halfLife}y`;
+		return startMoved() ? `since ${yearName(rangeStart)}` : "cumulative";
+	}
 
-		// Sankey layout area
-		const leftMargin = 200;
-		const rightEdge = innerW - 50;
-		const sankeyWidth = rightEdge - leftMargin;
-		const sankeyHeight = innerH - 50;
+	function updateStream() {
+		// the stack is recomputed only when its inputs change; moving the year just moves the marker
+		const inputs = { authors: filteredAuthors, mode: mainMode, windowSize, halfLife, rangeStart, counting: countingMode, measure: streamMeasure };
+		const stale = !streamInputs || Object.keys(inputs).some(k => inputs[k] !== streamInputs[k]);
+		if (stale) {
+			streamInputs = inputs;
+			streamRows = d3.range(yearMinAll, yearMaxAll + 1).map(year => ({ year, ...streamValues(year) }));
+
+			// taxonomy order first, then any other subfield by name
+			const present = new Set(streamRows.flatMap(r => Object.keys(r).filter(k => k !== "year" && r[k] > 0)));
+			const keys = subfieldOrder.filter(sf => present.has(sf))
+				.concat(Array.from(present).filter(sf => !subfieldOrder.includes(sf)).sort());
+			const series = d3.stack().keys(keys).value((r, k) => r[k] || 0)(streamRows);
+
+			streamY.domain(streamMeasure === 'shares' ? [0, 1] : [0, d3.max(series, s => d3.max(s, d => d[1])) || 1]).nice();
+			streamXAxis.call(d3.axisBottom(streamX).ticks(career ? 6 : 10).tickFormat(yearName));
+			streamYAxis.call(d3.axisLeft(streamY).ticks(8, streamMeasure === 'shares' ? "%" : "~s"));
+			streamYLabel.text(`${streamMeasures[streamMeasure].label}, ${streamModeLabel()}`);
+
+			const area = d3.area().x(d => streamX(d.data.year)).y0(d => streamY(d[0])).y1(d => streamY(d[1]));
+			streamAreas.selectAll("path").data(series, s => s.key)
+				.join("path")
+				.attr("fill", s => colorScale(s.key))
+				.attr("opacity", 0.9)
+				.attr("d", area);
+		}
+		streamMarker.attr("x1", streamX(currentYear)).attr("x2", streamX(currentYear));
+	}
 
-		const sankeyGen = d3.sankey()
-			.nodeWidth(20)
-			.nodePadding(10)
-			.extent([[leftMargin, 20], [rightEdge, sankeyHeight]]);
+	// -------------------------------------------------------------------------------------------------------------------------
+	// TIMELINE (AUTHOR × YEAR MATRIX) -----------------------------------------------------------------------------------------
+	// -------------------------------------------------------------------------------------------------------------------------
+	// One row per filtered author, one column per year: the cell color is the main subfield of that year's works
+	// (Yearly_Subfields), its opacity the number of works. Drawn on a canvas, whatever the cohort size.
+	const timelineSorts = {
+		name: { label: "Name" },
+		first: { label: "First active year" },
+		hindex: { label: "H-Index" },
+		interdisciplinarity: { label: "Interdisciplinarity" }
+	};
+	let timelineSort = 'name';
 
-		// Run layout (give fresh plain objects so d3 can mutate them)
-		const graph = sankeyGen({
-			nodes: nodes.map(d => Object.assign({}, d)),
-			links: sankeyLinks.map(d => Object.assign({}, d))
+	const timelineControls = container.append("div")
+		.attr("id", "timelineControls")
+		.style("position", "absolute")
+		.style("left", "330px")
+		.style("top", "10px")
+		.style("background", "#fff")
+		.style("padding", "6px 8px")
+		.style("border-radius", "8px")
+		.style("box-shadow", "0 8px 22px rgba(2,6,23,0.06)")
+		.style("font-family", "sans-serif")
+		.style("font-size", "12px")
+		.style("z-index", 900)
+		.style("display", "none");
+
+	timelineControls.append("span").text("Sort by ");
+	timelineControls.append("select")
+		.attr("id", "timelineSort")
+		.style("padding", "4px")
+		.html(Object.entries(timelineSorts).map(([k, s]) => `<option value="${k}">${escapeHTML(s.label)}</option>`).join(""))
+		.on("change", function () {
+			timelineSort = this.value;
+			updateTimeline();
+			scheduleHashUpdate();
 		});
 
-		// remove old defs (we recreate gradients); do not remove whole sankeyLayer to allow joins
-		sankeyLayer.select("defs").remove();
-		phantomLayer.selectAll("*").remove(); // keep behavior from original
-		g.selectAll(".sankeyLabelLayer").remove(); // remove older labels (we'll recreate)
-
-		const defs = sankeyLayer.append("defs");
+	// plot area right of the panels, names to the left of the cells
+	const timelineLeft = 480, timelineRight = innerW - 20, timelineTop = 60, timelineBottom = innerH - 40;
+	const timelineYears = d3.range(yearMinAll, yearMaxAll + 1);
+	const timelineX = d3.scaleBand().domain(timelineYears).range([timelineLeft, timelineRight]);
+	const timelineLayer = g.append("g").attr("class", "timelineLayer").style("display", "none");
+	const timelineXAxis = timelineLayer.append("g").attr("class", "axis").attr("transform", `translate(0,${timelineTop})`);
+	const timelineObject = timelineLayer.append("foreignObject")
+		.attr("x", timelineLeft).attr("y", timelineTop)
+		.attr("width", timelineRight - timelineLeft).attr("height", timelineBottom - timelineTop);
+	const timelineCanvas = timelineObject.append("xhtml:canvas")
+		.style("width", `${timelineRight - timelineLeft}px`)
+		.style("height", `${timelineBottom - timelineTop}px`)
+		.style("cursor", "pointer");
+	const timelineNames = timelineLayer.append("g");
+	const timelineMarker = timelineLayer.append("rect")
+		.attr("fill", "none").attr("stroke", "#0f172a").attr("pointer-events", "none")
+		.attr("y", timelineTop).attr("height", timelineBottom - timelineTop);
+
+	// cells of each author, recomputed when the filtered set changes: {year: {subfield, works}}
+	let timelineCells = new Map();
+	let timelineAuthors = filteredAuthors;
+	let timelineMaxWorks = 1;
+	let timelineRows = []; // authors in display order
+	let timelineRowH = 1;
+
+	function timelineCellsOf(author) {
+		const cells = {};
+		for (const year of timelineYears) {
+			const counts = countsFor(author, year, 'year');
+			const works = d3.sum(Object.values(counts));
+			if (works > 0) cells[year] = { subfield: mainSubfieldFor(author, year, 'year'), works };
+		}
+		return cells;
+	}
 
-		// LINKS: keyed by sourceName->targetName to avoid full DOM churn
-		const linkKey = d => `${d.source.name}->${d.target.name}`;
-		const linkSel = sankeyLayer.selectAll("path.sankey-link").data(graph.links, linkKey);
+	function timelineOrder() {
+		const first = a => d3.min(Object.keys(timelineCells.get(a.id)).map(Number)) ?? Infinity;
+		const byName = (a, b) => (a.family_name || a.name).localeCompare(b.family_name || b.name) || a.name.localeCompare(b.name);
+		// descending, authors without a value last
+		const desc = value => {
+			const v = new Map(filteredAuthors.map(a => [a.id, Number.isFinite(value(a)) ? value(a) : -Infinity]));
+			return (a, b) => (v.get(b.id) - v.get(a.id)) || byName(a, b);
+		};
+		const compareBy = {
+			name: byName,
+			first: (a, b) => first(a) - first(b) || byName(a, b),
+			hindex: desc(a => a.hindex),
+			interdisciplinarity: desc(a => interdisciplinarity(a, currentYear, mainMode))
+		}[timelineSort];
+		return filteredAuthors.slice().sort(compareBy);
+	}
 
-		linkSel.join(
-			enter => enter.append("path")
-				.attr("class", "sankey-link")
-				.attr("fill", "none")
-				.attr("opacity", 0.8),
-			update => update,
-			exit => exit.remove()
-		)
-			.attr("d", d3.sankeyLinkHorizontal())
-			.attr("stroke-width", d => Math.max(1, d.width))
-			.attr("stroke", d => {
-				// create stable id per pair (sanitized)
-				const safe = s => String(s).replace(/\W+/g, "_").replace(/^_+|_+$/g, "");
-				const gradId = `grad_${safe(d.source.name)}__${safe(d.target.name)}`;
-				// avoid duplicate defs for same id (we already removed defs at top of function)
-				const gradient = defs.append("linearGradient")
-					.attr("id", gradId)
-					.attr("gradientUnits", "userSpaceOnUse")
-					.attr("x1", d.source.x1)
-					.attr("y1", (d.y0 + d.y1) / 2)
-					.attr("x2", d.target.x0)
-					.attr("y2", (d.y0 + d.y1) / 2);
-
-				gradient.append("stop")
-					.attr("offset", "0%")
-					.attr("stop-color", colorScale(d.source.name) || "#888");
-
-				gradient.append("stop")
-					.attr("offset", "100%")
-					.attr("stop-color", colorScale(d.target.name) || "#888");
-
-				return `url(#${gradId})`;
-			})
-			.attr("fill", "none")
-			.attr("opacity", 0.8);
+	function updateTimeline() {
+		if (timelineAuthors !== filteredAuthors || !timelineCells.size) {
+			timelineAuthors = filteredAuthors;
+			timelineCells = new Map(filteredAuthors.map(a => [a.id, timelineCellsOf(a)]));
+			timelineMaxWorks = d3.max(Array.from(timelineCells.values()), cells => d3.max(Object.values(cells), c => c.works)) || 1;
+		}
+		timelineRows = timelineOrder();
+		timelineRowH = (timelineBottom - timelineTop) / Math.max(1, timelineRows.length);
 
-		// NODES: keyed by name
-		const nodeSel = sankeyLayer.selectAll("rect.sankey-node").data(graph.nodes, d => d.name);
-		nodeSel.join(
-			enter => enter.append("rect").attr("class", "sankey-node").attr("stroke", "#000"),
-			update => update,
-			exit => exit.remove()
-		)
-			.attr("x", d => d.x0)
-			.attr("y", d => d.y0)
-			.attr("width", d => d.x1 - d.x0)
-			.attr("height", d => d.y1 - d.y0)
-			.attr("fill", d => colorScale(d.name) || "#888");
+		timelineXAxis.call(d3.axisTop(timelineX).tickValues(timelineYears.filter(y => y % (career ? 10 : 5) === 0)).tickFormat(yearName));
+		timelineMarker.attr("x", timelineX(currentYear)).attr("width", timelineX.bandwidth());
 
-		// LABELS: new layer under sankeyLayer so it rotates/moves consistently
-		const labelLayer = sankeyLayer.append("g").attr("class", "sankeyLabelLayer");
-		labelLayer.selectAll("text.sankey-label")
-			.data(graph.nodes, d => d.name)
+		// names only when rows are tall enough to read them
+		timelineNames.selectAll("text")
+			.data(timelineRowH >= 9 ? timelineRows : [], a => a.id)
 			.join("text")
-			.attr("class", "sankey-label")
-			.attr("x", d => d.x0 < sankeyWidth / 2 ? d.x1 + 4 : d.x0 - 4)
-			.attr("y", d => (d.y1 + d.y0) / 2)
-			.attr("text-anchor", d => d.x0 < sankeyWidth / 2 ? "start" : "end")
+			.attr("x", timelineLeft - 6)
+			.attr("y", (a, i) => timelineTop + (i + 0.5) * timelineRowH)
+			.attr("text-anchor", "end")
 			.attr("alignment-baseline", "middle")
 			.style("font-family", "sans-serif")
-			.style("font-size", "12px")
-			.text(d => d.name);
+			.style("font-size", `${Math.min(11, timelineRowH - 1)}px`)
+			.style("cursor", "pointer")
+			.text(a => a.name)
+			.on("click", (e, a) => openAuthorPanel(a));
+
+		drawTimeline();
+	}
+
+	function drawTimeline() {
+		const w = timelineRight - timelineLeft, h = timelineBottom - timelineTop;
+		const ratio = window.devicePixelRatio || 1;
+		const node = timelineCanvas.attr("width", w * ratio).attr("height", h * ratio).node();
+		const ctx = node.getContext && node.getContext("2d");
+		if (!ctx) return;
+		ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+		ctx.clearRect(0, 0, w, h);
+		const cellW = timelineX.bandwidth();
+		timelineRows.forEach((a, i) => {
+			for (const [year, cell] of Object.entries(timelineCells.get(a.id))) {
+				ctx.globalAlpha = 0.15 + 0.85 * Math.sqrt(cell.works / timelineMaxWorks);
+				ctx.fillStyle = colorScale(cell.subfield);
+				ctx.fillRect(timelineX(+year) - timelineLeft, i * timelineRowH, cellW, Math.max(timelineRowH, 1));
+			}
+		});
+		ctx.globalAlpha = 1;
+	}
+
+	// author and year of the cell under the pointer
+	function timelineCellAt(e) {
+		const [mx, my] = d3.pointer(e, timelineCanvas.node());
+		const author = timelineRows[Math.floor(my / timelineRowH)];
+		const year = timelineYears[Math.floor(mx / timelineX.step())];
+		return author && year !== undefined ? { author, year, cell: timelineCells.get(author.id)[year] } : null;
 	}
 
+	timelineCanvas
+		.on("mousemove", e => {
+			const hit = timelineCellAt(e);
+			if (!hit) {
+				tooltip.style("display", "none");
+				return;
+			}
+			tooltip.style("display", "block")
+				.style("left", `${e.pageX + 12}px`).style("top", `${e.pageY + 12}px`)
+				.html(`<b>${escapeHTML(hit.author.name)}</b>, ${yearName(hit.year)}<br>`
+					+ (hit.cell ? `${escapeHTML(hit.cell.subfield)}<br>${formatCount(hit.cell.works)} works` : "No works"));
+		})
+		.on("mouseout", () => tooltip.style("display", "none"))
+		.on("click", e => {
+			const hit = timelineCellAt(e);
+			if (!hit) return;
+			setYear(hit.year, false);
+			openAuthorPanel(hit.author);
+		});
+
 	// -------------------------------------------------------------------------------------------------------------------------
 	// -------------------------------------------------------------------------------------------------------------------------
 	// -------------------------------------------------------------------------------------------------------------------------
@@ -599,14 +1904,82 @@ d3.json("./json/authors.json").then(rawData => {
 
 	modeDiv.append("div").style("font-weight", "700").text("Main subfield mode");
 	const modeButtons = modeDiv.append("div").style("margin-top", "6px");
-	const entireBtn = modeButtons.append("button").text("Entire career").style("padding", "6px 8px").style("margin-right", "6px").on("click", () => { mainMode = 'entire'; updateAll(true); updateModeButtons(); });
-	const yearBtn = modeButtons.append("button").text("Specific year").style("padding", "6px 8px").on("click", () => { mainMode = 'year'; updateAll(true); updateModeButtons(); });
+	const entireBtn = modeButtons.append("button").text("Entire career").attr("title", "Counts between the two slider handles (drag the start handle to leave out early years)").style("padding", "6px 8px").style("margin-right", "6px").on("click", () => { mainMode = 'entire'; updateAll(true); updateModeButtons(); });
+	const yearBtn = modeButtons.append("button").text("Specific year").style("padding", "6px 8px").style("margin-right", "6px").on("click", () => { mainMode = 'year'; updateAll(true); updateModeButtons(); });
+
+	// second row: sliding window of N years and time decay with a half-life, each with its parameter
+	const modeParams = modeDiv.append("div").style("margin-top", "6px");
+	const paramInput = (id, title, get, set) => modeParams.append("input")
+		.attr("id", id)
+		.attr("type", "number")
+		.attr("min", 1)
+		.attr("title", title)
+		.property("value", get())
+		.style("width", "42px")
+		.style("padding", "5px")
+		.style("margin", "0 8px 0 4px")
+		.on("change", function () {
+			const v = Number(this.value);
+			if (!(v >= 1)) { this.value = get(); return; }
+			set(v);
+			updateAll(true);
+		});
+	const windowBtn = modeParams.append("button").text("Window").attr("title", "Sliding window of N years ending at the current year").style("padding", "6px 8px").on("click", () => { mainMode = 'window'; updateAll(true); updateModeButtons(); });
+	paramInput("windowSize", "Window size (years)", () => windowSize, v => { windowSize = Math.round(v); });
+	const decayBtn = modeParams.append("button").text("Decay").attr("title", "Cumulative counts, exponentially decayed with the given half-life").style("padding", "6px 8px").on("click", () => { mainMode = 'decay'; updateAll(true); updateModeButtons(); });
+	paramInput("halfLife", "Half-life (years)", () => halfLife, v => { halfLife = v; });
+
+	// third row: calendar years or career years; switching rebuilds the view from the URL (see renderView)
+	modeDiv.append("div").style("margin-top", "6px").append("button")
+		.text("Align careers")
+		.attr("title", "Count years from each author's first active year (career year 0, 1, 2…)")
+		.style("padding", "6px 8px")
+		.style("background", career ? "#2563eb" : "#fff")
+		.style("color", career ? "#fff" : "#000")
+		.on("click", () => {
+			// slider years do not carry over between the two timelines
+			const params = new URLSearchParams(stateHash());
+			params.delete("year");
+			params.delete("from");
+			if (career) params.delete("align");
+			else params.set("align", "career");
+			window.history.pushState(null, "", params.toString() ? `#${params}` : window.location.pathname + window.location.search);
+			renderView();
+		});
+
 	function updateModeButtons() {
-		entireBtn.style("background", mainMode === 'entire' ? "#2563eb" : "#fff").style("color", mainMode === 'entire' ? "#fff" : "#000");
-		yearBtn.style("background", mainMode === 'year' ? "#2563eb" : "#fff").style("color", mainMode === 'year' ? "#fff" : "#000");
+		[[entireBtn, 'entire'], [yearBtn, 'year'], [windowBtn, 'window'], [decayBtn, 'decay']].forEach(([btn, mode]) => {
+			btn.style("background", mainMode === mode ? "#2563eb" : "#fff").style("color", mainMode === mode ? "#fff" : "#000");
+		});
 	}
 	updateModeButtons();
 
+	// Diversity index selector
+	modeDiv.append("div").style("margin-top", "8px").style("font-weight", "700").text("Diversity index");
+	modeDiv.append("select")
+		.attr("id", "metricSelect")
+		.style("margin-top", "6px")
+		.style("padding", "6px")
+		.html(Object.entries(diversityIndices).map(([k, m]) => `<option value="${k}">${escapeHTML(m.label)}</option>`).join(""))
+		.on("change", function () {
+			diversityMetric = this.value;
+			updateGroupMetric();
+			if (view === 'scatter') updateScatter();
+			scheduleHashUpdate();
+		});
+
+	// Counting mode selector (see weighCounts)
+	modeDiv.append("div").style("margin-top", "8px").style("font-weight", "700").text("Counting");
+	modeDiv.append("select")
+		.attr("id", "countingSelect")
+		.style("margin-top", "6px")
+		.style("padding", "6px")
+		.html(Object.entries(countingModes).map(([k, m]) => `<option value="${k}">${escapeHTML(m.label)}</option>`).join(""))
+		.on("change", function () {
+			countingMode = this.value;
+			updateAll(false);
+		});
+
 	// Year slider and autoplay UI (bottom area)
 	const centerX = innerW / 2;
 	const centerY = innerH / 2 - 40;
@@ -617,7 +1990,7 @@ d3.json("./json/authors.json").then(rawData => {
 	// Build tick years set (Start, multiples of 5 from 1980..., End)
 	const tickSet = new Set();
 	tickSet.add(yearMinAll);
-	for (let y = Math.max(1950, yearMinAll); y <= yearMaxAll; y += 5) tickSet.add(y);
+	for (let y = career ? yearMinAll : Math.max(1950, yearMinAll); y <= yearMaxAll; y += 5) tickSet.add(y);
 	tickSet.add(yearMaxAll);
 	const tickYears = Array.from(tickSet).sort((a, b) => a - b);
 
@@ -647,6 +2020,29 @@ d3.json("./json/authors.json").then(rawData => {
 		.style("cursor", "pointer")
 		.style("filter", "drop-shadow(0 3px 6px rgba(16,24,40,0.12))");
 
+	// Start handle, only shown in 'entire' mode (the main handle is the end of the range)
+	const startHandle = sliderG.append("circle")
+		.attr("class", "handle")
+		.attr("r", 8)
+		.attr("cx", xScale(rangeStart))
+		.attr("cy", 0)
+		.attr("fill", "#fff")
+		.attr("stroke", "#2563eb")
+		.attr("stroke-width", 3)
+		.style("cursor", "pointer")
+		.style("display", "none");
+
+	// slider visuals for currentYear (and rangeStart in 'entire' mode)
+	function updateSliderVisuals() {
+		const cx = xScale(currentYear);
+		const x0 = mainMode === 'entire' ? xScale(rangeStart) : xScale.range()[0];
+		handle.attr("cx", cx);
+		startHandle.attr("cx", xScale(rangeStart)).style("display", mainMode === 'entire' ? null : "none");
+		trackLeft.attr("x", x0).attr("width", Math.max(0, cx - x0));
+		const label = mainMode === 'entire' && startMoved() && rangeStart < currentYear ? `${rangeStart}–${currentYear}` : currentYear;
+		yearLabel.text(career ? `Career year ${label}` : label);
+	}
+
 	// Big year label
 	const yearLabel = g.append("text")
 		.attr("x", innerW / 2)
@@ -710,7 +2106,12 @@ d3.json("./json/authors.json").then(rawData => {
 			if (!autoplayInterval) {
 				autoplayInterval = d3.interval(() => {
 					let nextYear = currentYear + 1;
-					if (nextYear > yearMaxAll) nextYear = yearMinAll; // wrap
+					if (mainMode === 'entire' && startMoved()) {
+						// slide the fixed-width range forward, wrapping to the start of the data
+						const width = Math.max(0, currentYear - rangeStart);
+						if (nextYear > yearMaxAll) nextYear = Math.min(yearMaxAll, yearMinAll + width);
+						rangeStart = nextYear - width;
+					} else if (nextYear > yearMaxAll) nextYear = yearMinAll; // wrap
 					setYear(nextYear, true);
 				}, 1000);
 			}
@@ -723,11 +2124,20 @@ d3.json("./json/authors.json").then(rawData => {
 	});
 
 
-	// Drag anywhere on sliderG
+	// Drag anywhere on sliderG; in 'entire' mode the drag moves whichever handle is closer when it starts
+	let draggingStart = false;
 	sliderG.call(d3.drag().on("start drag", (event) => {
 		const px = Math.max(xScale.range()[0], Math.min(xScale.range()[1], event.x));
 		const yr = Math.round(xScale.invert(px));
-		setYear(yr, true);
+		if (event.type === "start") {
+			draggingStart = mainMode === 'entire' && Math.abs(px - xScale(rangeStart)) < Math.abs(px - xScale(currentYear));
+		}
+		if (draggingStart) {
+			rangeStart = Math.min(yr, currentYear);
+			setYear(currentYear, true);
+		} else {
+			setYear(yr, true);
+		}
 	}));
 
 	// Phantom toggle button
@@ -742,6 +2152,25 @@ d3.json("./json/authors.json").then(rawData => {
 			showPhantoms = !showPhantoms;
 			d3.select(this).text(showPhantoms ? "Hide Phantoms" : "Show Phantoms");
 			updatePhantoms(); updateClustersAndLabels();
+			scheduleHashUpdate();
+		});
+
+	// Layout toggle: 'main' pulls each node to its main subfield cluster,
+	// 'mixture' pulls it to the share-weighted mix of all its subfield clusters (RadViz-like)
+	let layoutMode = 'main';
+	const layoutToggle = container.append("button")
+		.attr("id", "layoutToggle")
+		.style("position", "absolute")
+		.style("left", "125px")
+		.style("top", "10px")
+		.text("Switch to Mixture Layout")
+		.on("click", function () {
+			layoutMode = layoutMode === 'main' ? 'mixture' : 'main';
+			d3.select(this).text(layoutMode === 'main' ? "Switch to Mixture Layout" : "Switch to Main Layout");
+			// keep nodes where they are, only retarget the forces
+			updateLayoutTargets();
+			simulation.alpha(0.5).restart();
+			scheduleHashUpdate();
 		});
 
 	// --- Dynamically created cluster centers, nodes, simulation, layers ---
@@ -751,7 +2180,112 @@ d3.json("./json/authors.json").then(rawData => {
 	const phantomLayer = g.append("g").attr("class", "phantomLayer");
 	const nodesLayer = g.append("g").attr("class", "nodesLayer");
 	const labelLayer = g.append("g").attr("class", "labelLayer");
+	const highlightLayer = g.append("g").attr("class", "highlightLayer").attr("pointer-events", "none"); // ring on the open author, see updateHighlight
+
+	// Canvas renderer for large cohorts (more than canvasNodeThreshold nodes): phantom links and nodes
+	// are drawn on a canvas under the cluster labels, hover/click use a quadtree of the active nodes.
+	// It goes under the year slider too, whose handle and play button reach into the plot area
+	let useCanvas = false;
+	const dpr = window.devicePixelRatio || 1;
+	const canvasObject = g.insert("foreignObject", () => sliderG.node())
+		.attr("class", "canvasLayer")
+		.attr("width", innerW)
+		.attr("height", innerH)
+		.style("display", "none");
+	const canvas = canvasObject.append("xhtml:canvas")
+		.attr("width", innerW * dpr)
+		.attr("height", innerH * dpr)
+		.style("width", `${innerW}px`)
+		.style("height", `${innerH}px`);
+	let canvasContext = null; // created on first use
+	let nodeQuadtree = null; // rebuilt lazily after nodes move
+
+	// switch renderer (setYear then rebuilds the circles and phantom lines for it)
+	function setRenderer(canvasMode) {
+		canvasObject.style("display", canvasMode && view === 'force' ? null : "none");
+		useCanvas = canvasMode;
+		if (useCanvas && !canvasContext) canvasContext = canvas.node().getContext("2d");
+	}
+
+	function drawCanvas() {
+		nodeQuadtree = null;
+		const ctx = canvasContext;
+		if (!ctx) return;
+		ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+		ctx.clearRect(0, 0, innerW, innerH);
+
+		// phantom links, styled like the SVG lines
+		if (showPhantoms) {
+			ctx.strokeStyle = "#999";
+			for (const d of phantomData) {
+				ctx.globalAlpha = d.opacity;
+				ctx.lineWidth = d.width;
+				ctx.beginPath();
+				ctx.moveTo(d.parent.x, d.parent.y);
+				ctx.lineTo(d.tx, d.ty);
+				ctx.stroke();
+			}
+		}
+
+		// active nodes, one path per color and opacity (faded outside a scatter selection)
+		const active = nodes.filter(n => n.active);
+		const faded = n => brushedIds !== null && !brushedIds.has(n.id);
+		const circles = group => {
+			ctx.beginPath();
+			for (const n of group) {
+				ctx.moveTo(n.x + 3.3, n.y);
+				ctx.arc(n.x, n.y, 3.3, 0, 2 * Math.PI);
+			}
+		};
+		for (const [color, byFade] of d3.group(active, n => colorScale(n.subfield), faded)) {
+			ctx.fillStyle = color;
+			for (const [fade, group] of byFade) {
+				ctx.globalAlpha = fade ? 0.15 : 0.95;
+				circles(group);
+				ctx.fill();
+			}
+		}
+		if (brushedIds) {
+			ctx.globalAlpha = 1;
+			ctx.strokeStyle = "#0f172a";
+			ctx.lineWidth = 1;
+			circles(active.filter(n => brushedIds.has(n.id)));
+			ctx.stroke();
+		}
+		ctx.globalAlpha = 1;
+	}
+
+	// active node under the pointer (within a few pixels), for the canvas renderer
+	function nodeAt(event) {
+		if (!nodeQuadtree) nodeQuadtree = d3.quadtree(nodes.filter(n => n.active), d => d.x, d => d.y);
+		const [mx, my] = d3.pointer(event, canvas.node());
+		return nodeQuadtree.find(mx, my, 6);
+	}
+
+	// same tooltip and side panel as the SVG circles (see updateNodeSelection)
+	canvas
+		.on("mousemove", e => {
+			const d = nodeAt(e);
+			canvas.style("cursor", d ? "pointer" : null);
+			if (!d) {
+				tooltip.style("display", "none");
+				return;
+			}
+			tooltip.style("display", "block")
+				.style("left", `${e.pageX + 12}px`).style("top", `${e.pageY + 12}px`)
+				.html(tooltipHtml(d, buildSVG(d)));
+		})
+		.on("mouseout", () => tooltip.style("display", "none"))
+		.on("click", e => {
+			const d = nodeAt(e);
+			if (d) openAuthorPanel(d.author);
+		});
 	const sankeyLayer = g.append("g").attr("class", "sankeyLayer");
+	const sankeyDefs = sankeyLayer.append("defs");
+	const sankeyLinksG = sankeyLayer.append("g").attr("class", "sankeyLinks");
+	const sankeyNodesG = sankeyLayer.append("g").attr("class", "sankeyNodes");
+	const sankeyLabelsG = sankeyLayer.append("g").attr("class", "sankeyLabelLayer");
+	const migrationLayer = g.append("g").attr("class", "migrationLayer").style("display", "none");
 
 
 	// initially, we'll create nodes from filteredAuthors (filteredAuthors is authorsRaw filtered)
@@ -793,13 +2327,27 @@ d3.json("./json/authors.json").then(rawData => {
 
 		// draw cluster labels outside clusters
 		const labelsData = clusterKeys;
+		// share of each cluster: of the active authors (by main subfield) with raw counts,
+		// of the active authors' counts weighed by the counting mode otherwise
 		const activeNodes = nodes.filter(n => n.active);
-		const counts = d3.rollup(activeNodes, v => v.length, d => d.subfield);
-		const total = activeNodes.length || 1;
+		let counts, total, shareNote;
+		if (countingMode === 'raw') {
+			counts = d3.rollup(activeNodes, v => v.length, d => d.subfield);
+			total = activeNodes.length || 1;
+			shareNote = "share of active authors with this main subfield";
+		} else {
+			counts = new Map();
+			for (const n of activeNodes) {
+				for (const [sf, v] of Object.entries(weighCounts(countsFor(n.author, currentYear, mainMode)))) counts.set(sf, (counts.get(sf) || 0) + v);
+			}
+			total = d3.sum(counts.values()) || 1;
+			shareNote = `share of the active authors' works, ${countingModes[countingMode].label.toLowerCase()}`;
+		}
 
 		const labels = labelLayer.selectAll("g.label").data(labelsData, d => d);
 		const enter = labels.enter().append("g").attr("class", "label");
 		enter.append("text").attr("class", "cluster-label").style("font-family", "sans-serif").style("font-size", "12px");
+		enter.append("title");
 
 		const merged = enter.merge(labels);
 		merged.attr("transform", d => {
@@ -816,20 +2364,7 @@ d3.json("./json/authors.json").then(rawData => {
 		merged.select("text")
 			.selectAll("tspan")
 			.data(d => {
-				let d_short = d;
-				if (d === "Artificial Intelligence") d_short = "AI";
-				else if (d === "Computational Theory and Mathematics") d_short = "CT & Math";
-				else if (d === "Computer Graphics and Computer-Aided Design") d_short = "CG & CAD";
-				else if (d === "Computer Networks and Communications") d_short = "Net & Comm";
-				else if (d === "Computer Science Applications") d_short = "CS App";
-				else if (d === "Computer Vision and Pattern Recognition") d_short = "CV & PR";
-				else if (d === "Hardware and Architecture") d_short = "HW & Arch";
-				else if (d === "Human-Computer Interaction") d_short = "HCI";
-				else if (d === "Information Systems") d_short = "Info Sys";
-				else if (d === "Signal Processing") d_short = "Signal";
-				else if (d === "Software") d_short = "Software";
-				else if (d === "Unknown") d_short = "Unknown";
-
+				const d_short = shortLabel(d);
 				const pct = ((counts.get(d) || 0) / total * 100);
 				return [d_short, `${pct.toFixed(1)}%`]; // two lines
 			})
@@ -837,6 +2372,7 @@ d3.json("./json/authors.json").then(rawData => {
 			.text(d => d)
 			.attr("x", 0)
 			.attr("dy", (d, i) => i === 0 ? 0 : "1.2em");
+		merged.select("title").text(d => `${d}: ${shareNote}`);
 
 		labels.exit().remove();
 	}
@@ -870,16 +2406,22 @@ d3.json("./json/authors.json").then(rawData => {
 		// set mapping
 		const opacityScale = d3.scaleLinear().domain([0, maxCount]).range([0.01, 0.30]);
 
-		// LINKS
-		const links = phantomLayer.selectAll("line").data(showPhantoms ? phantomData : [], d => `${d.parent.id}-${d.subfield}`);
+		phantomData.forEach(d => {
+			d.width = Math.max(0.4, Math.log(d.count + 1) * 0.45);
+			d.opacity = opacityScale(d.count);
+		});
+
+		// LINKS (drawn by drawCanvas in canvas mode)
+		const links = phantomLayer.selectAll("line").data(showPhantoms && !useCanvas ? phantomData : [], d => `${d.parent.id}-${d.subfield}`);
 		links.join(
 			enter => enter.append("line")
 				.attr("stroke", "#999")
-				.attr("stroke-width", d => Math.max(0.4, Math.log(d.count + 1) * 0.45))
-				.attr("opacity", d => opacityScale(d.count)),
-			update => update.attr("stroke-width", d => Math.max(0.4, Math.log(d.count + 1) * 0.45)).attr("opacity", d => opacityScale(d.count)),
+				.attr("stroke-width", d => d.width)
+				.attr("opacity", d => d.opacity),
+			update => update.attr("stroke-width", d => d.width).attr("opacity", d => d.opacity),
 			exit => exit.remove()
 		);
+		if (useCanvas) drawCanvas();
 
 		// PHANTOM DOTS
 		/*
@@ -895,8 +2437,43 @@ d3.json("./json/authors.json").then(rawData => {
 		*/
 	}
 
+	// layout target of a node: its main cluster center, or the weighted mix of cluster centers by subfield shares
+	function layoutTargetFor(n) {
+		const mainCenter = clusterCenterMap.get(n.subfield) ?? { x: centerX, y: centerY };
+		if (layoutMode !== 'mixture') return mainCenter;
+
+		const counts = countsFor(n.author, currentYear, mainMode);
+		let sx = 0, sy = 0, total = 0;
+		for (const [sf, cnt] of Object.entries(counts)) {
+			const c = clusterCenterMap.get(sf);
+			const w = Number(cnt || 0);
+			if (!c || w <= 0) continue;
+			sx += c.x * w;
+			sy += c.y * w;
+			total += w;
+		}
+		return total > 0 ? { x: sx / total, y: sy / total } : mainCenter;
+	}
+
+	// recompute node targets and hand them to the x/y forces (does not touch node positions)
+	function updateLayoutTargets() {
+		nodes.forEach(n => {
+			const t = layoutTargetFor(n);
+			n.targetX = t.x;
+			n.targetY = t.y;
+		});
+		simulation.force("x").x(d => d.targetX ?? centerX);
+		simulation.force("y").y(d => d.targetY ?? centerY);
+	}
+
 	// Tick behavior
 	function ticked() {
+		updateHighlight();
+		if (useCanvas) {
+			drawCanvas();
+			return;
+		}
+
 		// node positions
 		nodesLayer.selectAll("circle").attr("cx", d => d.x).attr("cy", d => d.y);
 
@@ -908,59 +2485,167 @@ d3.json("./json/authors.json").then(rawData => {
 			.attr("y2", d => d.ty);
 	}
 
-	// update D3 nodes binding when nodes array changes
-	function updateNodeSelection() {
-		// build subfield bars SVG
-		const buildSVG = d => {
-			const cs = countsFor(d.author, currentYear, mainMode);
-			const items = Object.entries(cs).sort((a, b) => b[1] - a[1]);
-			const max = items.length ? Math.max(...items.map(([_, c]) => c)) : 1;
-			const h = 18, gap = 4, w = 200, H = items.length * (h + gap);
-			return `<svg width="${w}" height="${H}">${items.map(([sf, c], i) => {
-				const y = i * (h + gap), bw = (c / max) * w, color = colorScale(sf);
-				return `<rect x="0" y="${y}" width="${bw}" height="${h}" fill="${color}"></rect>
-				<text x="5" y="${y + h / 2 + 5}" font-size="12" font-weight="700" fill="#000">${c}</text>
-				<text x="27" y="${y + h / 2 + 2}" font-size="12" font-weight="700" fill="#000" dominant-baseline="middle" style="pointer-events:none">${escapeHTML(sf)}</text>`;
-			}).join('')}</svg>`;
-		};
+	// ring around the node of the author whose side panel is open (both renderers)
+	function updateHighlight() {
+		const node = selectedAuthor && nodes.find(n => n.id === selectedAuthor.id && n.active);
+		highlightLayer.selectAll("circle")
+			.data(node ? [node] : [])
+			.join("circle")
+			.attr("r", 7)
+			.attr("fill", "none")
+			.attr("stroke", "#0f172a")
+			.attr("stroke-width", 2)
+			.attr("cx", d => d.x)
+			.attr("cy", d => d.y);
+	}
 
-		// tooltip content
-		const tooltipHtml = (d, svg) => `
-		<div style="font-weight:700">${escapeHTML(d.author.name)}</div>
-		<div style="margin-top:6px"><b>Main subfield: </b>${escapeHTML(d.subfield)}</div>
-		<div style="margin-top:6px"><b>Interdisciplinarity:</b> ${(interdisciplinarity(d.author, currentYear, mainMode) * 100).toFixed(1)}%</div>
-		<div style="margin-top:12px"><b>Subfields Occurrences</b> (${mainMode === 'entire' ? 'up to' : 'in'} ${currentYear}):</div>
-		<div style="margin:6px 0 0 0;position:relative">${svg}</div>`;
-
-		// side panel content
-		const sideHtml = (d, svg) => {
-			const orcid = d.author.orcid ? `<div><b>ORCID:</b> <a href="https://orcid.org/${encodeURIComponent(d.author.orcid)}" target="_blank" rel="noopener noreferrer">${escapeHTML(d.author.orcid)}</a></div>` : "";
-			const openalex = d.author.openalex ? `<div><b>OpenAlex:</b> <a href="${escapeHTML(d.author.openalex)}" target="_blank" rel="noopener noreferrer">${escapeHTML(d.author.openalex)}</a></div>` : "";
-			return `<div style="display:flex;justify-content:space-between;align-items:center"><h2 style="margin:0">${escapeHTML(d.author.name)}</h2></div>
-		<div style="margin-top:10px"><b>Institution:</b> ${escapeHTML(d.author.institution || "—")}</div>
-		<div style="margin-top:6px"><b>Main subfield:</b> ${escapeHTML(d.subfield)}</div>
-		<div style="margin-top:6px"><b>Interdisciplinarity:</b> ${(interdisciplinarity(d.author, currentYear, mainMode) * 100).toFixed(1)}%</div>
-		<div style="margin-top:10px"><b>Metrics</b><ul style="margin:6px 0 0 18px;padding:0">
-			<li>H-Index: ${isNaN(d.author.hindex) ? "—" : d.author.hindex}</li>
-			<li>I10-Index: ${isNaN(d.author.i10index) ? "—" : d.author.i10index}</li>
-			<li>Works Count: ${isNaN(d.author.works_count) ? "—" : d.author.works_count}</li>
-			<li>Cited By: ${isNaN(d.author.cited_by_count) ? "—" : d.author.cited_by_count}</li>
-		</ul></div>
-		<div style="margin-top:8px">${orcid}${openalex}</div>
-		<div style="margin-top:12px"><b>Subfields Occurrences</b> (${mainMode === 'entire' ? 'up to' : 'in'} ${currentYear}):</div>
-		<div style="margin:6px 0 0 0;position:relative">${svg}</div>
-		${topicsHtml(d.author, currentYear)}
-		<div style="margin-top:12px"><button id="sideCloseBtn" style="padding:6px 8px;border-radius:6px;border:0;background:#2563eb;color:#fff;cursor:pointer">Close</button></div>`;
+	// subfield and topic profiles of the filtered authors, rebuilt only when their inputs change
+	// (like the stream), so opening panels one after another reuses them
+	let profileInputs = null;
+	let profiles = null;
+	function similarityProfile(a) {
+		const norm = c => Math.sqrt(d3.sum(Object.values(c), v => v * v));
+		const subfields = countsFor(a, currentYear, mainMode);
+		const topics = countsByKind(a, 'topic', currentYear, mainMode);
+		return { author: a, subfields, topics, subfieldNorm: norm(subfields), topicNorm: norm(topics) };
+	}
+	function similarityProfiles() {
+		const inputs = { authors: filteredAuthors, year: currentYear, mode: mainMode, windowSize, halfLife, rangeStart };
+		const stale = !profileInputs || Object.keys(inputs).some(k => inputs[k] !== profileInputs[k]);
+		if (stale) {
+			profileInputs = inputs;
+			profiles = new Map(filteredAuthors.map(a => [a.id, similarityProfile(a)]));
+		}
+		return profiles;
+	}
+
+	// Filtered authors most similar to author at currentYear (mode-aware): the cosine similarity of their
+	// subfield profiles, averaged with that of their topic profiles when both have topics.
+	// Returns the top k as [{ author, similarity, shared: [topic, ...] }]
+	function similarAuthors(author, k = 5) {
+		const all = similarityProfiles();
+		// the panel's author may be outside the current filter
+		const own = all.get(author.id) || similarityProfile(author);
+		if (!own.subfieldNorm) return [];
+		const cosine = (p, np, q, nq) => {
+			if (!np || !nq) return null;
+			let dot = 0;
+			for (const [key, v] of Object.entries(p)) if (q[key]) dot += v * q[key];
+			return dot / (np * nq);
 		};
 
-		// reusable function to set base attributes
+		const out = [];
+		for (const p of all.values()) {
+			if (p.author.id === author.id) continue;
+			const bySubfield = cosine(own.subfields, own.subfieldNorm, p.subfields, p.subfieldNorm);
+			if (bySubfield === null) continue;
+			const byTopic = cosine(own.topics, own.topicNorm, p.topics, p.topicNorm);
+			out.push({ profile: p, similarity: byTopic === null ? bySubfield : (bySubfield + byTopic) / 2 });
+		}
+		return out.sort((a, b) => b.similarity - a.similarity).slice(0, k).map(({ profile: p, similarity }) => ({
+			author: p.author,
+			similarity,
+			// topics both authors have, the most shared first
+			shared: Object.keys(own.topics).filter(t => p.topics[t] > 0)
+				.sort((a, b) => Math.min(p.topics[b], own.topics[b]) - Math.min(p.topics[a], own.topics[a]))
+				.map(t => t.split("---").pop())
+		}));
+	}
+
+	function similarHtml(author) {
+		const similar = similarAuthors(author);
+		if (!similar.length) return "";
+		return `<div style="margin-top:12px"><b>Similar authors</b> (${modeSpanLabel(currentYear)}):</div>
+	<ol style="margin:6px 0 0 18px;padding:0">${similar.map(s => `<li style="margin-top:4px">
+		<a href="#" class="similarLink" data-id="${escapeHTML(s.author.id)}">${escapeHTML(s.author.name)}</a>
+		<span style="color:#6b7280">${(s.similarity * 100).toFixed(0)}%</span>
+		<div style="color:#6b7280;font-size:11px">${s.shared.length
+			? `Shared topics: ${s.shared.slice(0, 3).map(escapeHTML).join(", ")}${s.shared.length > 3 ? ` and ${s.shared.length - 3} more` : ""}`
+			: "Similar subfield mix, no shared topics"}</div></li>`).join("")}</ol>`;
+	}
+
+	// build subfield bars SVG
+	function buildSVG(d) {
+		const cs = countsFor(d.author, currentYear, mainMode);
+		const items = Object.entries(cs).sort((a, b) => b[1] - a[1]);
+		const max = items.length ? Math.max(...items.map(([_, c]) => c)) : 1;
+		const h = 18, gap = 4, w = 200, H = items.length * (h + gap);
+		return `<svg width="${w}" height="${H}">${items.map(([sf, c], i) => {
+			const y = i * (h + gap), bw = (c / max) * w, color = colorScale(sf);
+			return `<rect x="0" y="${y}" width="${bw}" height="${h}" fill="${color}"></rect>
+			<text x="5" y="${y + h / 2 + 5}" font-size="12" font-weight="700" fill="#000">${formatCount(c)}</text>
+			<text x="27" y="${y + h / 2 + 2}" font-size="12" font-weight="700" fill="#000" dominant-baseline="middle" style="pointer-events:none">${escapeHTML(sf)}</text>`;
+		}).join('')}</svg>`;
+	}
+
+	// tooltip content
+	function tooltipHtml(d, svg) {
+		return `
+	<div style="font-weight:700">${escapeHTML(d.author.name)}</div>
+	<div style="margin-top:6px"><b>Main subfield: </b>${escapeHTML(d.subfield)}</div>
+	<div style="margin-top:6px"><b>Interdisciplinarity:</b> ${diversityLabel(interdisciplinarity(d.author, currentYear, mainMode))}</div>
+	<div style="margin-top:12px"><b>Subfields Occurrences</b> (${modeSpanLabel(currentYear)}):</div>
+	<div style="margin:6px 0 0 0;position:relative">${svg}</div>`;
+	}
+
+	// side panel content
+	function sideHtml(d, svg) {
+		const orcid = d.author.orcid ? `<div><b>ORCID:</b> <a href="https://orcid.org/${encodeURIComponent(d.author.orcid)}" target="_blank" rel="noopener noreferrer">${escapeHTML(d.author.orcid)}</a></div>` : "";
+		const openalex = d.author.openalex ? `<div><b>OpenAlex:</b> <a href="${escapeHTML(d.author.openalex)}" target="_blank" rel="noopener noreferrer">${escapeHTML(d.author.openalex)}</a></div>` : "";
+		return `<div style="display:flex;justify-content:space-between;align-items:center"><h2 style="margin:0">${escapeHTML(d.author.name)}</h2></div>
+	<div style="margin-top:10px"><b>Institution:</b> ${escapeHTML(d.author.institution || "—")}</div>
+	<div style="margin-top:6px"><b>Main subfield:</b> ${escapeHTML(d.subfield)}</div>
+	<div style="margin-top:6px"><b>Interdisciplinarity:</b> ${diversityLabel(interdisciplinarity(d.author, currentYear, mainMode))}</div>
+	<div style="margin-top:10px"><b>Metrics</b><ul style="margin:6px 0 0 18px;padding:0">
+		<li>H-Index: ${isNaN(d.author.hindex) ? "—" : d.author.hindex}</li>
+		<li>I10-Index: ${isNaN(d.author.i10index) ? "—" : d.author.i10index}</li>
+		<li>Works Count: ${isNaN(d.author.works_count) ? "—" : d.author.works_count}</li>
+		<li>Cited By: ${isNaN(d.author.cited_by_count) ? "—" : d.author.cited_by_count}</li>
+	</ul></div>
+	<div style="margin-top:8px">${orcid}${openalex}</div>
+	<div style="margin-top:12px"><b>Subfields Occurrences</b> (${modeSpanLabel(currentYear)}):</div>
+	<div style="margin:6px 0 0 0;position:relative">${svg}</div>
+	${topicsHtml(d.author, currentYear)}
+	${similarHtml(d.author)}
+	<div style="margin-top:12px"><button id="sideCloseBtn" style="padding:6px 8px;border-radius:6px;border:0;background:#2563eb;color:#fff;cursor:pointer">Close</button></div>`;
+	}
+
+	// author whose panel is open (kept in the URL)
+	let selectedAuthor = null;
+
+	// open the side panel of one author (same content as clicking the author's node)
+	function openAuthorPanel(author) {
+		const d = { author, subfield: mainSubfieldFor(author, currentYear, mainMode) };
+		selectedAuthor = author;
+		openSidePanel(sideHtml(d, buildSVG(d)));
+		d3.select("#sideCloseBtn").on("click", closeAuthorPanel);
+		sidePanel.selectAll("a.similarLink").on("click", function (e) {
+			e.preventDefault();
+			const author = authorById.get(this.dataset.id);
+			if (author) openAuthorPanel(author);
+		});
+		updateHighlight();
+		scheduleHashUpdate();
+	}
+
+	function closeAuthorPanel() {
+		selectedAuthor = null;
+		closeSidePanel();
+		updateHighlight();
+		scheduleHashUpdate();
+	}
+
+	// update D3 nodes binding when nodes array changes
+	function updateNodeSelection() {
+		// reusable function to set base attributes; outside a scatter selection nodes fade
 		const setAttrs = sel => sel
-			.attr("opacity", d => d.active ? 0.95 : 0)
+			.attr("opacity", d => d.active ? (brushedIds && !brushedIds.has(d.id) ? 0.15 : 0.95) : 0)
 			.attr("pointer-events", d => d.active ? "all" : "none")
-			.attr("fill", d => colorScale(d.subfield));
+			.attr("fill", d => colorScale(d.subfield))
+			.attr("stroke", d => brushedIds && brushedIds.has(d.id) ? "#0f172a" : null);
 
-		// data join
-		const sel = nodesLayer.selectAll("circle").data(nodes, d => d.id);
+		// data join (no circles in canvas mode, see drawCanvas)
+		const sel = nodesLayer.selectAll("circle").data(useCanvas ? [] : nodes, d => d.id);
 		sel.exit().remove();
 		setAttrs(sel.enter().append("circle").attr("r", 3.3)
 			.on("mousemove", (e, d) => {
@@ -970,28 +2655,34 @@ d3.json("./json/authors.json").then(rawData => {
 					.html(tooltipHtml(d, svg));
 			})
 			.on("mouseout", () => tooltip.style("display", "none"))
-			.on("click", (e, d) => {
-				const svg = buildSVG(d);
-				openSidePanel(sideHtml(d, svg));
-				d3.select("#sideCloseBtn").on("click", closeSidePanel);
-			})
+			.on("click", (e, d) => openAuthorPanel(d.author))
 		);
 
 		// update existing circles
 		setAttrs(sel);
+		if (useCanvas) drawCanvas();
+	}
+
+	// A query on the main subfield "now" follows the year (drill-downs keep their snapshot).
+	// filteredAuthors becomes a new array only when its members change, so the caches keyed on it stay valid
+	function followYearQuery() {
+		if (!usesCurrentYear(appliedAst) || drillStack.length) return;
+		const members = authorsRaw.filter(a => evaluateQuery(appliedAst, a, testQueryTerm));
+		if (members.length !== filteredAuthors.length || members.some((a, i) => a !== filteredAuthors[i])) filteredAuthors = members;
 	}
 
 	// setYear: main update function for the visualization. Preserves everything.
-	function setYear(year, animate) {
+	// record false leaves the URL alone (previews such as hovering the stream)
+	function setYear(year, animate, record = true) {
 		if (year < yearMinAll) year = yearMinAll;
 		if (year > yearMaxAll) year = yearMaxAll;
 		currentYear = Math.round(year);
+		// the end handle pushes the start handle back
+		if (rangeStart > currentYear) rangeStart = currentYear;
+		followYearQuery();
 
 		// update slider visuals
-		const cx = xScale(currentYear);
-		handle.attr("cx", cx);
-		trackLeft.attr("width", cx - xScale.range()[0]);
-		yearLabel.text(currentYear);
+		updateSliderVisuals();
 
 		// update nodes in place
 		nodes.forEach(n => {
@@ -1032,73 +2723,157 @@ d3.json("./json/authors.json").then(rawData => {
 		});
 		clusterKeys = Array.from(clusterCenterMap.keys());
 
+		// canvas above the node threshold, SVG below
+		setRenderer(nodes.length > canvasNodeThreshold);
+
 		// update forces
 		simulation.nodes(nodes);
-		simulation.force("x").x(d => clusterCenterMap.get(d.subfield)?.x ?? centerX);
-		simulation.force("y").y(d => clusterCenterMap.get(d.subfield)?.y ?? centerY);
+		updateLayoutTargets();
 
 		// update UI
 		updateNodeSelection();
 		updateClustersAndLabels();
 		updatePhantoms();
-		if (showSankey) {
+		if (view === 'sankey') {
 			updateSankey();
+		} else if (view === 'scatter') {
+			updateScatter();
+		} else if (view === 'stream') {
+			updateStream();
+		} else if (view === 'timeline') {
+			updateTimeline();
 		}
 
-		// Update group interdisciplinarity display
-		if (showSankey) {
-			const val = groupInterdisciplinarity(filteredAuthors, currentYear, mainMode, 'external');
-			groupMetricDiv.html(`<b>Outer Interdisciplinarity:</b><br><b style="font-size: 24px; padding-left: 32px;">${(val * 100).toFixed(1)}%</b>`);
-		} else {
-			const val = groupInterdisciplinarity(filteredAuthors, currentYear, mainMode, 'subfield');
-			groupMetricDiv.html(`<b>Inner Interdisciplinarity:</b><br><b style="font-size: 24px; padding-left: 30px;">${(val * 100).toFixed(1)}%</b>`);
-		}
+		updateGroupMetric();
+		if (record) scheduleHashUpdate();
 
 		// animate if asked
 		if (animate) simulation.alpha(0.8).restart();
 	}
 
-	// Apply filters: read UI values, filter authorsRaw into filteredAuthors, then update view
-	function applyFilters() {
-		const nameSub = (document.getElementById("nameFilter").value || "").trim().toLowerCase();
-		const surnameSub = (document.getElementById("surnameFilter").value || "").trim().toLowerCase();
-		const instSub = (document.getElementById("instFilter").value || "").trim().toLowerCase();
-
-		const hOp = document.getElementById("hindex_op").value;
-		const hNum = document.getElementById("hindex_val").value.trim();
-		const i10Op = document.getElementById("i10_op").value;
-		const i10Num = document.getElementById("i10_val").value.trim();
-		const worksOp = document.getElementById("works_op").value;
-		const worksNum = document.getElementById("works_val").value.trim();
-		const citedOp = document.getElementById("cited_op").value;
-		const citedNum = document.getElementById("cited_val").value.trim();
-
-		filteredAuthors = authorsRaw.filter(a => {
-			if (nameSub && !a.name.toLowerCase().includes(nameSub)) return false;
-			if (surnameSub && !a.family_name.toLowerCase().includes(surnameSub)) return false;
-			if (instSub && !a.institution.toLowerCase().includes(instSub)) return false;
-
-			// Numeric filters
-			const checks = [
-				[hOp, a.hindex, hNum],
-				[i10Op, a.i10index, i10Num],
-				[worksOp, a.works_count, worksNum],
-				[citedOp, a.cited_by_count, citedNum]
-			];
-
-			for (const [op, val, numStr] of checks) {
-				if (numStr.trim() === "") continue;
-				const num = Number(numStr);
-				if (op === ">=" && !(val >= num)) return false;
-				if (op === "<=" && !(val <= num)) return false;
-				if (op === "=" && !(val === num)) return false;
+	// Filter panel <-> query text. The panel is written out as a query, so the same
+	// evaluator (query.js) filters authors whether they came from the panel or the query box.
+	const textFilters = [["nameFilter", "name"], ["surnameFilter", "surname"], ["instFilter", "inst"]];
+	const numericFilters = ["hindex", "i10", "works", "cited"]; // element id base == query field
+
+	function panelToQuery() {
+		const terms = [];
+		for (const [id, field] of textFilters) {
+			const v = document.getElementById(id).value.trim();
+			if (v) terms.push(`${field}~${quoteString(v)}`);
+		}
+		for (const field of numericFilters) {
+			const v = document.getElementById(field + "_val").value.trim();
+			if (v) terms.push(`${field}${document.getElementById(field + "_op").value}${v}`);
+		}
+		const content = contentConditions.map(conditionToQuery).filter(Boolean);
+		if (conditionJoin === 'or' && content.length > 1) terms.push(`(${content.join(" or ")})`);
+		else terms.push(...content);
+		return terms.join(" and ");
+	}
+
+	// write a parsed query into the panel; false when it has no panel equivalent
+	// (panel form: text/numeric filters AND (content conditions joined by one AND/OR))
+	function queryToPanel(ast) {
+		const items = !ast ? [] : (ast.type === 'and' ? ast.items : [ast]);
+		const text = {}, numeric = {}, content = [];
+		let join = 'and';
+
+		for (const item of items) {
+			const textEntry = item.type === 'cmp' && item.op === "~" && textFilters.find(([, f]) => f === item.field);
+			if (textEntry && !(textEntry[0] in text)) {
+				text[textEntry[0]] = item.value;
+			} else if (item.type === 'cmp' && numericFilters.includes(item.field) && [">=", "=", "<="].includes(item.op) && !(item.field in numeric)) {
+				numeric[item.field] = { op: item.op, value: item.value };
+			} else if (item.type === 'or' && join === 'and' && !content.length && item.items.every(queryToCondition)) {
+				join = 'or';
+				content.push(...item.items.map(queryToCondition));
+			} else if (join === 'and' && queryToCondition(item)) {
+				content.push(queryToCondition(item));
+			} else {
+				return false;
 			}
+		}
 
-			return true;
-		});
+		for (const [id] of textFilters) document.getElementById(id).value = text[id] ?? "";
+		for (const field of numericFilters) {
+			document.getElementById(field + "_op").value = numeric[field]?.op ?? ">=";
+			document.getElementById(field + "_val").value = numeric[field]?.value ?? "";
+		}
+		contentConditions = content;
+		conditionJoin = join;
+		renderConditions();
+		return true;
+	}
+
+	// decide one comparison of the query for an author
+	function testQueryTerm(a, node) {
+		const { field, op, value, args } = node;
+		switch (field) {
+			case 'hindex': return compare(a.hindex, op, value);
+			case 'i10': return compare(a.i10index, op, value);
+			case 'works': return compare(a.works_count, op, value);
+			case 'cited': return compare(a.cited_by_count, op, value);
+			case 'name': return compare(a.name, op, value);
+			case 'surname': return compare(a.family_name, op, value);
+			case 'inst': return compare(a.institution, op, value);
+			case 'topic':
+			case 'field': {
+				const names = field === 'topic' ? topicNamesOf(a) : Array.from(fieldNamesOf(a));
+				// "!=" means no topic/field equals the value; "=" and "~" need at least one match
+				return op === "!=" ? names.every(n => compare(n, op, value)) : names.some(n => compare(n, op, value));
+			}
+			case 'main': {
+				const year = args.length ? args[0] : currentYear;
+				return isActiveBy(a, year, mainMode) && compare(mainSubfieldFor(a, year, mainMode), op, value);
+			}
+			case 'subfield': {
+				const from = Math.min(args[1], args[2]), to = Math.max(args[1], args[2]);
+				const shift = calendarYear(a, 0); // years of the query are slider years
+				const counts = shift === null ? {} : countsBetween(a, 'subfield', from + shift, to + shift);
+				const key = Object.keys(counts).find(sf => sf.toLowerCase() === args[0].toLowerCase());
+				return compare(key ? counts[key] : 0, op, value);
+			}
+		}
+		return false;
+	}
+
+	let appliedQuery = ""; // last query that parsed (kept in the URL)
+	let appliedAst = null; // its AST, re-evaluated by setYear when it depends on the current year
+
+	// Parse and apply a query; syntax errors and unknown fields are shown under the query box
+	function applyQuery(text) {
+		let ast;
+		try {
+			ast = parseQuery(text);
+		} catch (err) {
+			if (!(err instanceof QueryError)) throw err;
+			showQueryError(text, err);
+			return false;
+		}
+		queryInput.property("value", text);
+		queryMessage.style("color", "#6b7280")
+			.text(queryToPanel(ast) ? "" : "This query has no filter-panel equivalent; the panel shows the previous filters.");
+
+		filteredAuthors = authorsRaw.filter(a => evaluateQuery(ast, a, testQueryTerm));
+		appliedQuery = text;
+		appliedAst = ast;
 
 		// After filter, update visualization at the same year
+		clearDrill();
 		setYear(currentYear, true);
+		return true;
+	}
+
+	function showQueryError(text, err) {
+		const pos = Math.max(0, Math.min(err.pos ?? text.length, text.length));
+		queryMessage.style("color", "#b91c1c")
+			.html(`${escapeHTML(err.message)} at position ${pos + 1}:<br><code>${escapeHTML(text.slice(0, pos))}<u style="background:#fee2e2">${escapeHTML(text.slice(pos, pos + 1) || " ")}</u>${escapeHTML(text.slice(pos + 1))}</code>`);
+	}
+
+	// Apply filters: read UI values, filter authorsRaw into filteredAuthors, then update view
+	function applyFilters() {
+		applyQuery(panelToQuery());
 	}
 
 	// reset filters to empty and show all authors
@@ -1110,7 +2885,15 @@ d3.json("./json/authors.json").then(rawData => {
 		document.getElementById("i10_val").value = "";
 		document.getElementById("works_val").value = "";
 		document.getElementById("cited_val").value = "";
+		contentConditions = [];
+		conditionJoin = 'and';
+		renderConditions();
+		queryInput.property("value", "");
+		queryMessage.text("");
+		appliedQuery = "";
+		appliedAst = null;
 		filteredAuthors = authorsRaw.slice();
+		clearDrill();
 		updateAll(true);
 		//setYear(currentYear, true);
 	}
@@ -1118,48 +2901,449 @@ d3.json("./json/authors.json").then(rawData => {
 	// updateAll wrapper for when mode changes
 	function updateAll(forceRestart = false) {
 		console.log("updateSankey called for year:", currentYear);
-		if (showSankey) {
+		followYearQuery(); // the year may have changed without setYear (e.g. restoring the URL)
+		if (view !== 'force') {
 			// Hide force-directed view
 			nodesLayer.style("display", "none");
 			phantomLayer.style("display", "none");
 			labelLayer.style("display", "none");
+			highlightLayer.style("display", "none");
+
+			canvasObject.style("display", "none");
+		}
+		if (view !== 'sankey') {
+			sankeyLayer.style("display", "none");
+			migrationLayer.style("display", "none");
+			sankeyControls.style("display", "none");
+		}
+		if (view !== 'scatter') {
+			scatterLayer.style("display", "none");
+			scatterControls.style("display", "none");
+		}
+		if (view !== 'stream') {
+			streamLayer.style("display", "none");
+			streamControls.style("display", "none");
+		}
+		if (view !== 'timeline') {
+			timelineLayer.style("display", "none");
+			timelineControls.style("display", "none");
+		}
 
-			// Show Sankey
-			sankeyLayer.style("display", "block");
+		if (view === 'sankey') {
+			// Show Sankey (updateSankey picks the layer for the current sankeyKind)
+			sankeyControls.style("display", "block");
 
+			updateSliderVisuals();
 			updateSankey();
+		} else if (view === 'scatter') {
+			scatterLayer.style("display", null);
+			scatterControls.style("display", "block");
+
+			updateSliderVisuals();
+			updateScatter();
+		} else if (view === 'stream') {
+			streamLayer.style("display", null);
+			streamControls.style("display", "block");
+
+			updateSliderVisuals();
+			updateStream();
+		} else if (view === 'timeline') {
+			timelineLayer.style("display", null);
+			timelineControls.style("display", "block");
+
+			updateSliderVisuals();
+			updateTimeline();
 		} else {
 			// Show force-directed view
 			nodesLayer.style("display", "block");
 			phantomLayer.style("display", "block");
 			labelLayer.style("display", "block");
-
-			// Hide Sankey
-			sankeyLayer.style("display", "none");
-			g.selectAll(".sankeyLabelLayer").remove();
+			highlightLayer.style("display", "block");
 
 			setYear(currentYear, forceRestart);
 		}
 
-		// Update group interdisciplinarity display
-		if (showSankey) {
-			const val = groupInterdisciplinarity(filteredAuthors, currentYear, mainMode, 'external');
-			groupMetricDiv.html(`<b>Outer Interdisciplinarity</b><br><b style="font-size: 24px; padding-left: 32px;"> ${(val * 100).toFixed(1)}%</b>`);
-		} else {
-			const val = groupInterdisciplinarity(filteredAuthors, currentYear, mainMode, 'subfield');
-			groupMetricDiv.html(`<b>Inner Interdisciplinarity</b><br><b style="font-size: 24px; padding-left: 30px;"> ${(val * 100).toFixed(1)}%</b>`);
+		updateGroupMetric();
+		scheduleHashUpdate();
+	}
+
+	// Update group interdisciplinarity display (outer for Sankey, inner for force view)
+	function updateGroupMetric() {
+		const fieldType = view === 'sankey' ? 'external' : 'subfield';
+		const val = groupInterdisciplinarity(filteredAuthors, currentYear, mainMode, fieldType);
+		groupMetricDiv.html(`<b>${view === 'sankey' ? "Outer" : "Inner"} Interdisciplinarity</b><br>`
+			+ `<b style="font-size: 24px; padding-left: 30px;">${formatDiversity(val, diversityMetric)}</b>`
+			+ `<div style="color:#6b7280;font-size:11px;padding-left: 30px;">${escapeHTML(diversityIndices[diversityMetric].label)}`
+			+ `${countingMode === 'raw' ? "" : ` · ${escapeHTML(countingModes[countingMode].label.toLowerCase())}`}</div>`);
+		updateGroupSeries();
+	}
+
+	// Inner/outer group interdisciplinarity for every year; recomputed only when the inputs change
+	const seriesW = 250, seriesH = 130, seriesM = { top: 8, right: 8, bottom: 18, left: 38 };
+	const seriesSvg = groupSeriesDiv.append("svg").attr("width", seriesW).attr("height", seriesH);
+	const seriesG = seriesSvg.append("g").attr("transform", `translate(${seriesM.left},${seriesM.top})`);
+	const seriesX = d3.scaleLinear().domain([yearMinAll, yearMaxAll]).range([0, seriesW - seriesM.left - seriesM.right]);
+	const seriesY = d3.scaleLinear().range([seriesH - seriesM.top - seriesM.bottom, 0]);
+	const seriesColors = { inner: "#2563eb", outer: "#d62728" };
+	const seriesXAxis = seriesG.append("g").attr("class", "axis").attr("transform", `translate(0,${seriesY.range()[0]})`);
+	const seriesYAxis = seriesG.append("g").attr("class", "axis");
+	const seriesPaths = seriesG.append("g");
+	const seriesMarker = seriesG.append("line").attr("stroke", "#0f172a").attr("stroke-dasharray", "3,2")
+		.attr("y1", 0).attr("y2", seriesY.range()[0]);
+	const seriesPoints = seriesG.append("g");
+	groupSeriesDiv.append("div").html(Object.entries(seriesColors).map(([k, c]) =>
+		`<span style="display:inline-block;width:10px;height:3px;background:${c};vertical-align:middle"></span> ${k === 'inner' ? 'Inner' : 'Outer'}`).join("&nbsp;&nbsp;"));
+
+	let seriesInputs = null;
+	function updateGroupSeries() {
+		const inputs = { authors: filteredAuthors, mode: mainMode, windowSize, halfLife, rangeStart, counting: countingMode, metric: diversityMetric };
+		const stale = !seriesInputs || Object.keys(inputs).some(k => inputs[k] !== seriesInputs[k]);
+
+		if (stale) {
+			seriesInputs = inputs;
+			const years = d3.range(yearMinAll, yearMaxAll + 1);
+			const series = ['inner', 'outer'].map(key => ({
+				key,
+				values: years.map(year => ({
+					key,
+					year,
+					value: groupInterdisciplinarity(filteredAuthors, year, mainMode, key === 'inner' ? 'subfield' : 'external')
+				}))
+			}));
+
+			seriesY.domain([0, Math.max(1e-6, d3.max(series, s => d3.max(s.values, d => d.value)))]).nice();
+			seriesXAxis.call(d3.axisBottom(seriesX).ticks(career ? 2 : 4).tickFormat(yearName));
+			seriesYAxis.call(d3.axisLeft(seriesY).ticks(3).tickFormat(v => formatDiversity(v, diversityMetric)));
+
+			const line = d3.line().x(d => seriesX(d.year)).y(d => seriesY(d.value));
+			seriesPaths.selectAll("path").data(series, s => s.key)
+				.join("path")
+				.attr("fill", "none")
+				.attr("stroke", s => seriesColors[s.key])
+				.attr("stroke-width", 1.5)
+				.attr("d", s => line(s.values));
+
+			// one clickable point per year and series: jumps the slider to that year
+			seriesPoints.selectAll("circle").data(series.flatMap(s => s.values), d => `${d.key}-${d.year}`)
+				.join(enter => enter.append("circle")
+					.attr("r", 2.2)
+					.style("cursor", "pointer")
+					.on("click", (e, d) => setYear(d.year, true))
+					.call(c => c.append("title")))
+				.attr("fill", d => seriesColors[d.key])
+				.attr("cx", d => seriesX(d.year))
+				.attr("cy", d => seriesY(d.value))
+				.select("title").text(d => `${yearName(d.year)} ${d.key}: ${formatDiversity(d.value, diversityMetric)}`);
+		}
+
+		seriesMarker.attr("x1", seriesX(currentYear)).attr("x2", seriesX(currentYear));
+	}
+
+	// -------------------------------------------------------------------------------------------------------------------------
+	// URL STATE ---------------------------------------------------------------------------------------------------------------
+	// -------------------------------------------------------------------------------------------------------------------------
+	// The view state lives in the hash as URL parameters, e.g. #data=cohort.json&align=career&year=12&view=sankey&q=inst~"Pisa".
+	// Values equal to the defaults are left out; every change pushes a history entry (replaced during autoplay).
+	function stateParams() {
+		return new URLSearchParams({
+			year: currentYear,
+			from: rangeStart,
+			mode: mainMode,
+			window: windowSize,
+			halflife: halfLife,
+			view,
+			sankey: sankeyKind,
+			y: scatterMetric,
+			yscale: scatterLog ? "log" : "linear",
+			stream: streamMeasure,
+			sort: timelineSort,
+			layout: layoutMode,
+			metric: diversityMetric,
+			counting: countingMode,
+			phantoms: showPhantoms ? "1" : "0",
+			q: appliedQuery,
+			author: selectedAuthor ? selectedAuthor.id : ""
+		});
+	}
+	const defaultParams = stateParams();
+
+	function stateHash() {
+		const params = new URLSearchParams(currentDataset !== defaultDataset() ? { data: currentDataset } : {});
+		if (career) params.set("align", "career");
+		for (const [key, value] of stateParams()) {
+			if (defaultParams.get(key) !== value) params.set(key, value);
+		}
+		return params.toString();
+	}
+
+	let hashTimer = null;
+	let restoringState = false;
+
+	// coalesce bursts of updates (slider drags, typing) into one history entry
+	function scheduleHashUpdate() {
+		if (restoringState) return;
+		clearTimeout(hashTimer);
+		hashTimer = setTimeout(() => {
+			const hash = stateHash();
+			if (hash === new URLSearchParams(window.location.hash.slice(1)).toString()) return;
+			const url = hash ? `#${hash}` : window.location.pathname + window.location.search;
+			if (autoplay) window.history.replaceState(null, "", url);
+			else window.history.pushState(null, "", url);
+		}, 300);
+	}
+
+	// apply the state in the hash; missing or invalid values fall back to the defaults
+	function restoreState() {
+		const params = new URLSearchParams(window.location.hash.slice(1));
+		// an entry of another dataset in the manifest: load it, its own restoreState does the rest
+		const dataset = params.get("data") || defaultDataset();
+		if (dataset !== currentDataset && datasetEntry(dataset)) {
+			loadDataset(dataset);
+			return;
+		}
+		// the other timeline: rebuild, the new view restores the rest
+		if ((params.get("align") === "career") !== career) {
+			renderView();
+			return;
 		}
+
+		clearTimeout(hashTimer);
+		restoringState = true;
+		const get = key => params.get(key) ?? defaultParams.get(key);
+		const num = key => Number.isFinite(Number(get(key))) ? Number(get(key)) : Number(defaultParams.get(key));
+		const clampYear = y => Math.max(yearMinAll, Math.min(yearMaxAll, Math.round(y)));
+		const oneOf = (key, values) => values.includes(get(key)) ? get(key) : defaultParams.get(key);
+
+		// 'range' (a separate mode in older links) is now part of 'entire'
+		mainMode = get("mode") === 'range' ? 'entire' : oneOf("mode", ['entire', 'year', 'window', 'decay']);
+		windowSize = Math.max(1, Math.round(num("window")));
+		halfLife = Math.max(1, num("halflife"));
+		currentYear = clampYear(num("year"));
+		rangeStart = Math.min(clampYear(num("from")), currentYear);
+		d3.select("#windowSize").property("value", windowSize);
+		d3.select("#halfLife").property("value", halfLife);
+		updateModeButtons();
+
+		view = oneOf("view", ['force', 'sankey', 'scatter', 'stream', 'timeline']);
+		updateViewButtons();
+		sankeyKind = oneOf("sankey", ['fields', 'migration']);
+		d3.select("#sankeyKind").property("value", sankeyKind);
+		migrationControls.style("display", sankeyKind === 'migration' ? "inline" : "none");
+		scatterMetric = oneOf("y", Object.keys(scatterMetrics));
+		scatterLog = get("yscale") === "log";
+		d3.select("#scatterMetric").property("value", scatterMetric);
+		d3.select("#scatterLog").property("checked", scatterLog);
+		streamMeasure = oneOf("stream", Object.keys(streamMeasures));
+		d3.select("#streamMeasure").property("value", streamMeasure);
+		timelineSort = oneOf("sort", Object.keys(timelineSorts));
+		d3.select("#timelineSort").property("value", timelineSort);
+
+		layoutMode = oneOf("layout", ['main', 'mixture']);
+		layoutToggle.text(layoutMode === 'main' ? "Switch to Mixture Layout" : "Switch to Main Layout");
+		diversityMetric = oneOf("metric", Object.keys(diversityIndices));
+		d3.select("#metricSelect").property("value", diversityMetric);
+		countingMode = oneOf("counting", Object.keys(countingModes));
+		d3.select("#countingSelect").property("value", countingMode);
+		showPhantoms = get("phantoms") !== "0";
+		phantomToggle.text(showPhantoms ? "Hide Phantoms" : "Show Phantoms");
+
+		const q = get("q");
+		if (q !== appliedQuery) {
+			if (q) applyQuery(q);
+			else resetFilters();
+		}
+		updateAll(true);
+
+		const author = authorById.get(get("author"));
+		if (author) openAuthorPanel(author);
+		else if (selectedAuthor) closeAuthorPanel();
+		restoringState = false;
 	}
 
+	window.addEventListener("popstate", restoreState);
+
 	// initial render
 	setYear(currentYear, false);
+	if (window.location.hash.length > 1) restoreState();
 
-	// cleanup timers on unload
-	window.addEventListener("beforeunload", () => {
+	// cleanup timers and listeners on unload or when another dataset replaces this one
+	function dispose() {
 		if (autoplayInterval) autoplayInterval.stop();
+		clearTimeout(hashTimer);
+		simulation.stop();
+		window.removeEventListener("popstate", restoreState);
+		window.removeEventListener("beforeunload", dispose);
+	}
+	window.addEventListener("beforeunload", dispose);
+	return dispose;
+}
+
+// -------------------------------------------------------------------------------------------------------------------------
+// DATASETS ----------------------------------------------------------------------------------------------------------------
+// -------------------------------------------------------------------------------------------------------------------------
+// json/manifest.json lists the datasets of the selector, the first one being the default:
+// [{ "file": "authors.json", "label": "...", "taxonomy": "..." }, ...]. taxonomy (optional) is a JSON file
+// with the field's name and its subfield names, short labels and colors (see common.js). Any other authors file can be picked or dropped on the chart.
+// Files are read by extension: JSON, or long-format CSV / TSV / NDJSON through adapters.js
+let manifest = [{ file: "authors.json", label: "authors.json" }];
+let currentDataset = null; // manifest file, or "local:<file name>" for a picked/dropped file
+let disposeViz = null;
+let loadToken = 0; // id of the latest load, see showDataset
+let shownDataset = null; // { prepared, rejected } of the current dataset, see renderView
+
+const defaultDataset = () => manifest[0].file;
+const datasetEntry = key => manifest.find(d => d.file === key);
+const datasetUrl = key => key === defaultDataset() ? window.location.pathname + window.location.search : `#data=${encodeURIComponent(key)}`;
+
+const datasetBar = container.append("div")
+	.attr("id", "datasetBar")
+	.style("margin", "8px 6px 0 6px")
+	.style("display", "flex")
+	.style("gap", "6px")
+	.style("align-items", "center")
+	.style("font-family", "sans-serif")
+	.style("font-size", "12px");
+datasetBar.append("b").text("Dataset");
+const datasetSelect = datasetBar.append("select")
+	.attr("id", "datasetSelect")
+	.style("padding", "4px")
+	.on("change", function () { loadDataset(this.value, true); });
+const fileInput = datasetBar.append("input")
+	.attr("type", "file")
+	.attr("accept", ".json,.csv,.tsv,.ndjson,.jsonl")
+	.style("display", "none")
+	.on("change", function () {
+		if (this.files[0]) loadFile(this.files[0]);
+		this.value = "";
 	});
+datasetBar.append("button").text("Open file…").style("padding", "4px 8px").on("click", () => fileInput.node().click());
+datasetBar.append("span").attr("class", "help").text("or drop an authors JSON, CSV or NDJSON file on the chart");
+const datasetProgress = datasetBar.append("progress").attr("id", "datasetProgress").attr("max", 1).style("display", "none");
+const datasetStatus = datasetBar.append("span").attr("id", "datasetStatus");
+// wired by buildViz to the report of the loaded dataset
+const qualityBtn = datasetBar.append("button").attr("id", "qualityBtn").style("padding", "4px 8px").style("display", "none");
+
+// drop a file anywhere on the visualization
+container
+	.on("dragover", e => {
+		e.preventDefault();
+		svg.style("outline", "3px dashed #2563eb");
+	})
+	.on("dragleave", () => svg.style("outline", null))
+	.on("drop", e => {
+		e.preventDefault();
+		svg.style("outline", null);
+		const file = e.dataTransfer?.files?.[0];
+		if (file) loadFile(file);
+	});
+
+// elements that outlive a dataset; everything buildViz appends to the container is removed on switch
+const baseChildren = new Set(container.node().children);
+
+function setDatasetStatus(text, isError = false) {
+	datasetStatus.style("color", isError ? "#b91c1c" : "#6b7280").text(text);
+}
+
+function renderDatasetOptions() {
+	const options = manifest.map(d => ({ value: d.file, label: d.label || d.file }));
+	if (currentDataset?.startsWith("local:")) options.push({ value: currentDataset, label: `${currentDataset.slice(6)} (local file)` });
+	datasetSelect.selectAll("option").data(options, o => o.value)
+		.join("option")
+		.attr("value", o => o.value)
+		.text(o => o.label);
+	datasetSelect.property("value", currentDataset);
+}
+
+// shape check before the current view is replaced; returns a problem description or null.
+// Problems of single records are left to the data-quality report (validate.js)
+function datasetProblem(rawData) {
+	const rows = Array.isArray(rawData) ? rawData : [rawData];
+	if (!rows.length) return "the file contains no authors";
+	const hasYears = r => r && typeof r === "object" && r.Yearly_Subfields && typeof r.Yearly_Subfields === "object"
+		&& Object.keys(r.Yearly_Subfields).some(y => !Number.isNaN(Number(y)));
+	if (!rows.some(hasYears)) return "no author has Yearly_Subfields keyed by year";
+	return null;
+}
+
+// replace the current view with an imported dataset ({ rawData, rejected, format }, see adapters.js)
+// and its taxonomy (optional); url (optional) is pushed to the history once the data is accepted
+function showDataset({ rawData, rejected, format, taxonomy = null }, key, url) {
+	const problem = datasetProblem(rawData);
+	if (problem) throw new Error(problem);
+
+	// the current view stays usable while the new dataset is indexed; the latest load wins
+	const token = ++loadToken;
+	setDatasetStatus("Indexing…");
+	datasetProgress.style("display", null).property("value", 0);
+	return prepareDataset(rawData, taxonomy, fraction => {
+		if (token === loadToken) datasetProgress.property("value", fraction);
+	})
+		.then(prepared => {
+			if (token === loadToken) replaceView(prepared, rejected, format, key, url);
+		})
+		.finally(() => {
+			if (token === loadToken) datasetProgress.style("display", "none");
+		});
+}
+
+function replaceView(prepared, rejected, format, key, url) {
+	if (url !== undefined) window.history.pushState(null, "", url);
+
+	currentDataset = key;
+	shownDataset = { prepared, rejected };
+	renderDatasetOptions();
+	renderView();
+	const count = prepared.rawArray.length;
+	setDatasetStatus(`${count} record${count === 1 ? "" : "s"} (${format})${rejected.length ? `, ${rejected.length} rows rejected` : ""}`);
+}
+
+// (re)build the view of the shown dataset, e.g. after the URL switched between calendar and career years
+function renderView() {
+	if (disposeViz) disposeViz();
+	for (const child of Array.from(container.node().children)) {
+		if (!baseChildren.has(child)) child.remove();
+	}
+	g.selectAll("*").remove();
+	groupSeriesDiv.selectAll("*").remove();
+	tooltip.style("display", "none");
+	closeSidePanel();
+
+	disposeViz = buildViz(shownDataset.prepared, shownDataset.rejected) || null;
+}
+
+// load a dataset of the manifest; push records the switch in the browser history
+function loadDataset(key, push = false) {
+	setDatasetStatus(`Loading ${key}…`);
+	const taxonomyFile = datasetEntry(key)?.taxonomy;
+	return Promise.all([d3.text(`./json/${key}`), taxonomyFile ? d3.json(`./json/${taxonomyFile}`) : null])
+		.then(([text, taxonomy]) => showDataset({ ...importAuthors(text, key, { columns: importColumns }), taxonomy }, key, push ? datasetUrl(key) : undefined))
+		.catch(err => {
+			console.error(`Failed to load ${key}:`, err);
+			setDatasetStatus(`Could not load ${key}: ${err.message}`, true);
+			datasetSelect.property("value", currentDataset);
+			if (!currentDataset) g.append("text").attr("x", innerW / 2).attr("y", innerH / 2).attr("text-anchor", "middle").text(`Error loading ${key} — see console`);
+		});
+}
 
-}).catch(err => {
-	console.error("Failed to load authors.json:", err);
-	g.append("text").attr("x", innerW / 2).attr("y", innerH / 2).attr("text-anchor", "middle").text("Error loading authors.json — see console");
-});
+function loadFile(file) {
+	const key = `local:${file.name}`;
+	setDatasetStatus(`Reading ${file.name}…`);
+	return file.text()
+		.then(text => showDataset(importAuthors(text, file.name, { columns: importColumns }), key, datasetUrl(key)))
+		.catch(err => {
+			console.error(`Failed to load ${file.name}:`, err);
+			setDatasetStatus(`Could not load ${file.name}: ${err.message}`, true);
+		});
+}
+
+// ---- Load the manifest, then the dataset named in the URL (or the default one) ----
+d3.json("./json/manifest.json")
+	.then(list => {
+		const entries = (Array.isArray(list) ? list : []).filter(d => d && typeof d.file === "string");
+		if (entries.length) manifest = entries;
+	})
+	.catch(() => {}) // no manifest: the built-in authors.json entry
+	.then(() => {
+		const wanted = new URLSearchParams(window.location.hash.slice(1)).get("data");
+		return loadDataset(datasetEntry(wanted) ? wanted : defaultDataset());
+	});
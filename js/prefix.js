@@ -0,0 +1,94 @@
+/*
+  prefix.js
+  Sparse per-author prefix sums over years. Built once per author and kind of count
+  (in prefix_worker.js, or on the main thread as a fallback), they answer any cumulative,
+  single-year or range query with a binary search per key, in O(keys × log years of the author).
+  Memory follows the input: one entry per (key, year) with a count, however many keys and years.
+
+  Copyright 2025 Marco Monteverde
+  License: MIT
+*/
+
+// Prefix sums of per-year counts {year: {key: count}}. The entries of keys[k] are
+// offsets[k] .. offsets[k + 1] - 1: years[i] is a year with a count of keys[k] (ascending) and
+// sums[i] the total of keys[k] through that year
+export function buildPrefix(perYear) {
+	const yearList = Object.keys(perYear || {}).map(Number).filter(Number.isFinite).sort((a, b) => a - b);
+
+	const byKey = new Map(); // key -> [[year, count], ...] in year order
+	for (const year of yearList) {
+		for (const [key, val] of Object.entries(perYear[year] || {})) {
+			const count = Number(val || 0);
+			if (!count) continue;
+			if (!byKey.has(key)) byKey.set(key, []);
+			byKey.get(key).push([year, count]);
+		}
+	}
+
+	const keys = Array.from(byKey.keys());
+	const offsets = new Int32Array(keys.length + 1);
+	keys.forEach((key, k) => { offsets[k + 1] = offsets[k] + byKey.get(key).length; });
+	const years = new Int32Array(offsets[keys.length]);
+	const sums = new Float64Array(offsets[keys.length]);
+	keys.forEach((key, k) => {
+		let total = 0;
+		byKey.get(key).forEach(([year, count], j) => {
+			total += count;
+			years[offsets[k] + j] = year;
+			sums[offsets[k] + j] = total;
+		});
+	});
+	return { keys, offsets, years, sums };
+}
+
+// total of keys[k] through year
+function totalThrough(prefix, k, year) {
+	let lo = prefix.offsets[k], hi = prefix.offsets[k + 1];
+	const first = lo;
+	// last entry with years[i] <= year
+	while (lo < hi) {
+		const mid = (lo + hi) >> 1;
+		if (prefix.years[mid] <= year) lo = mid + 1;
+		else hi = mid;
+	}
+	return lo > first ? prefix.sums[lo - 1] : 0;
+}
+
+// counts over the closed span [from, to] as {key: count}, non-zero keys only
+export function prefixBetween(prefix, from, to) {
+	const out = {};
+	if (to < from) return out;
+	for (let k = 0; k < prefix.keys.length; k++) {
+		const v = totalThrough(prefix, k, to) - totalThrough(prefix, k, from - 1);
+		if (v > 1e-9) out[prefix.keys[k]] = v;
+	}
+	return out;
+}
+
+// cumulative counts up to year
+export function prefixAt(prefix, year) {
+	return prefixBetween(prefix, -Infinity, year);
+}
+
+// counts up to year, each year's weighed by 0.5^((year - that year) / halfLife)
+export function prefixDecayed(prefix, year, halfLife) {
+	const out = {};
+	for (let k = 0; k < prefix.keys.length; k++) {
+		for (let i = prefix.offsets[k]; i < prefix.offsets[k + 1] && prefix.years[i] <= year; i++) {
+			const val = prefix.sums[i] - (i > prefix.offsets[k] ? prefix.sums[i - 1] : 0); // counts of that single year
+			const key = prefix.keys[k];
+			out[key] = (out[key] || 0) + val * Math.pow(0.5, (year - prefix.years[i]) / halfLife);
+		}
+	}
+	return out;
+}
+
+// first year with any count, or null when all counts are zero
+export function firstActiveYear(prefix) {
+	let first = null;
+	for (let k = 0; k < prefix.keys.length; k++) {
+		const i = prefix.offsets[k];
+		if (i < prefix.offsets[k + 1] && (first === null || prefix.years[i] < first)) first = prefix.years[i];
+	}
+	return first;
+}
@@ -0,0 +1,30 @@
+/*
+  prefix_worker.js
+  Module worker building the prefix sums of prefix.js off the main thread.
+  In:  { authors: [{ kind: {year: {key: count}}, ... }] }
+  Out: { done, total } progress messages, then { result: [{ kind: prefix, ... }] } with the
+       typed array buffers transferred.
+
+  Copyright 2025 Marco Monteverde
+  License: MIT
+*/
+
+import { buildPrefix } from "./prefix.js";
+
+const progressEvery = 250; // authors between progress messages
+
+self.onmessage = e => {
+	const { authors } = e.data;
+	const result = [];
+	const transfer = [];
+	authors.forEach((kinds, i) => {
+		const out = {};
+		for (const [kind, perYear] of Object.entries(kinds)) {
+			out[kind] = buildPrefix(perYear);
+			transfer.push(out[kind].offsets.buffer, out[kind].years.buffer, out[kind].sums.buffer);
+		}
+		result.push(out);
+		if ((i + 1) % progressEvery === 0) self.postMessage({ done: i + 1, total: authors.length });
+	});
+	self.postMessage({ result }, transfer);
+};
@@ -0,0 +1,220 @@
+/*
+  query.js
+  Small text query language for author filters, e.g.
+    hindex>=20 and inst~"Pisa" and main(2010)="Artificial Intelligence" and topic~"semantic"
+  main without a year (main="Software") compares the main subfield at the slider's current year.
+
+  Grammar (keywords are case-insensitive):
+    expr   := or
+    or     := and ("or" and)*
+    and    := unary ("and" unary)*
+    unary  := "not" unary | "(" expr ")" | cmp
+    cmp    := field ["(" value ("," value)* ")"] op value
+    op     := ">=" | "<=" | ">" | "<" | "=" | "!=" | "~"      (~ is "contains", case-insensitive)
+    value  := number | "quoted string"
+
+  Copyright 2025 Marco Monteverde
+  License: MIT
+*/
+
+// Error with the character offset where parsing failed (used for inline messages)
+export class QueryError extends Error {
+	constructor(message, pos) {
+		super(message);
+		this.name = "QueryError";
+		this.pos = pos;
+	}
+}
+
+const NUM_OPS = [">=", "<=", ">", "<", "=", "!="];
+const TEXT_OPS = ["~", "=", "!="];
+
+// Known fields: kind of value compared, allowed operators and the arguments they take
+// (optionalArgs: the arguments may be left out together with their parentheses)
+export const queryFields = {
+	hindex: { kind: "number", ops: NUM_OPS, args: [] },
+	i10: { kind: "number", ops: NUM_OPS, args: [] },
+	works: { kind: "number", ops: NUM_OPS, args: [] },
+	cited: { kind: "number", ops: NUM_OPS, args: [] },
+	name: { kind: "string", ops: TEXT_OPS, args: [] },
+	surname: { kind: "string", ops: TEXT_OPS, args: [] },
+	inst: { kind: "string", ops: TEXT_OPS, args: [] },
+	topic: { kind: "string", ops: TEXT_OPS, args: [] },
+	field: { kind: "string", ops: TEXT_OPS, args: [] },
+	main: { kind: "string", ops: ["=", "!="], args: ["number"], optionalArgs: true },
+	subfield: { kind: "number", ops: NUM_OPS, args: ["string", "number", "number"] }
+};
+
+const fieldAliases = { i10index: "i10", works_count: "works", cited_by_count: "cited", institution: "inst" };
+
+function tokenize(text) {
+	const tokens = [];
+	let i = 0;
+	while (i < text.length) {
+		const ch = text[i];
+		if (/\s/.test(ch)) { i++; continue; }
+		const start = i;
+		if (ch === '"') {
+			let value = "";
+			i++;
+			while (i < text.length && text[i] !== '"') {
+				if (text[i] === "\\" && i + 1 < text.length) i++;
+				value += text[i++];
+			}
+			if (i >= text.length) throw new QueryError("Unterminated string", start);
+			i++;
+			tokens.push({ type: "string", value, pos: start });
+		} else if (/[0-9.]/.test(ch) || (ch === "-" && /[0-9.]/.test(text[i + 1] || ""))) {
+			i++;
+			while (i < text.length && /[0-9.]/.test(text[i])) i++;
+			const value = Number(text.slice(start, i));
+			if (Number.isNaN(value)) throw new QueryError(`Invalid number "${text.slice(start, i)}"`, start);
+			tokens.push({ type: "number", value, pos: start });
+		} else if (/[A-Za-z_]/.test(ch)) {
+			while (i < text.length && /[A-Za-z0-9_]/.test(text[i])) i++;
+			const word = text.slice(start, i);
+			const lower = word.toLowerCase();
+			if (lower === "and" || lower === "or" || lower === "not") tokens.push({ type: lower, pos: start });
+			else tokens.push({ type: "ident", value: word, pos: start });
+		} else {
+			const two = text.slice(i, i + 2);
+			if ([">=", "<=", "!=", "&&", "||"].includes(two)) {
+				i += 2;
+				if (two === "&&") tokens.push({ type: "and", pos: start });
+				else if (two === "||") tokens.push({ type: "or", pos: start });
+				else tokens.push({ type: "op", value: two, pos: start });
+			} else if ("<>=~".includes(ch)) {
+				i++;
+				tokens.push({ type: "op", value: ch, pos: start });
+			} else if (ch === "!") {
+				i++;
+				tokens.push({ type: "not", pos: start });
+			} else if ("(),".includes(ch)) {
+				i++;
+				tokens.push({ type: ch, pos: start });
+			} else {
+				throw new QueryError(`Unexpected character "${ch}"`, start);
+			}
+		}
+	}
+	tokens.push({ type: "end", pos: text.length });
+	return tokens;
+}
+
+// Parse a query into an AST: { type: 'and'|'or', items } | { type: 'not', item } | { type: 'cmp', field, args, op, value, pos }.
+// An empty query parses to null (no filtering). Throws QueryError.
+export function parseQuery(text) {
+	const tokens = tokenize(String(text || ""));
+	let k = 0;
+	const peek = () => tokens[k];
+	const next = () => tokens[k++];
+	const describe = t => t.type === "end" ? "end of query" : `"${t.value ?? t.type}"`;
+	const expect = (type, what) => {
+		const t = next();
+		if (t.type !== type) throw new QueryError(`Expected ${what} but found ${describe(t)}`, t.pos);
+		return t;
+	};
+
+	const parseValue = kind => {
+		const t = next();
+		if (t.type !== "number" && t.type !== "string") throw new QueryError(`Expected a value but found ${describe(t)}`, t.pos);
+		if (kind === "number" && t.type !== "number") throw new QueryError(`Expected a number but found ${describe(t)}`, t.pos);
+		if (kind === "string" && t.type !== "string") throw new QueryError(`Expected a quoted string but found ${describe(t)}`, t.pos);
+		return t.value;
+	};
+
+	const parseCmp = () => {
+		const t = next();
+		if (t.type !== "ident") throw new QueryError(`Expected a field name but found ${describe(t)}`, t.pos);
+		const field = fieldAliases[t.value.toLowerCase()] || t.value.toLowerCase();
+		const spec = queryFields[field];
+		if (!spec) throw new QueryError(`Unknown field "${t.value}" (known: ${Object.keys(queryFields).join(", ")})`, t.pos);
+
+		const args = [];
+		if (spec.args.length && (!spec.optionalArgs || peek().type === "(")) {
+			expect("(", `"(" after ${field}`);
+			spec.args.forEach((kind, i) => {
+				if (i > 0) expect(",", `"," in ${field}(…)`);
+				args.push(parseValue(kind));
+			});
+			expect(")", `")" to close ${field}(…)`);
+		}
+
+		const opTok = next();
+		if (opTok.type !== "op") throw new QueryError(`Expected an operator after ${field} but found ${describe(opTok)}`, opTok.pos);
+		if (!spec.ops.includes(opTok.value)) throw new QueryError(`Operator "${opTok.value}" not allowed for ${field} (use ${spec.ops.join(" ")})`, opTok.pos);
+		const value = parseValue(spec.kind);
+		return { type: "cmp", field, args, op: opTok.value, value, pos: t.pos };
+	};
+
+	const parseUnary = () => {
+		const t = peek();
+		if (t.type === "not") {
+			next();
+			return { type: "not", item: parseUnary() };
+		}
+		if (t.type === "(") {
+			next();
+			const inner = parseOr();
+			expect(")", `")"`);
+			return inner;
+		}
+		return parseCmp();
+	};
+
+	const parseList = (type, parseItem) => {
+		const items = [parseItem()];
+		while (peek().type === type) {
+			next();
+			items.push(parseItem());
+		}
+		return items.length === 1 ? items[0] : { type, items };
+	};
+	const parseAnd = () => parseList("and", parseUnary);
+	const parseOr = () => parseList("or", parseAnd);
+
+	if (peek().type === "end") return null;
+	const ast = parseOr();
+	if (peek().type !== "end") throw new QueryError(`Unexpected ${describe(peek())}`, peek().pos);
+	return ast;
+}
+
+// Compare a value with the operator of a comparison node (~ is case-insensitive "contains")
+export function compare(actual, op, expected) {
+	if (op === "~") return String(actual ?? "").toLowerCase().includes(String(expected).toLowerCase());
+	if (typeof expected === "string" && typeof actual === "string" && (op === "=" || op === "!=")) {
+		const eq = actual.toLowerCase() === expected.toLowerCase();
+		return op === "=" ? eq : !eq;
+	}
+	switch (op) {
+		case ">=": return actual >= expected;
+		case "<=": return actual <= expected;
+		case ">": return actual > expected;
+		case "<": return actual < expected;
+		case "=": return actual === expected;
+		case "!=": return actual !== expected;
+	}
+	return false;
+}
+
+// true if the AST compares the main subfield at the current year (main without a year)
+export function usesCurrentYear(ast) {
+	if (!ast) return false;
+	if (ast.type === "and" || ast.type === "or") return ast.items.some(usesCurrentYear);
+	if (ast.type === "not") return usesCurrentYear(ast.item);
+	return ast.field === "main" && !ast.args.length;
+}
+
+// Evaluate an AST for one author; test(author, cmpNode) decides each comparison
+export function evaluateQuery(ast, author, test) {
+	if (!ast) return true;
+	if (ast.type === "and") return ast.items.every(item => evaluateQuery(item, author, test));
+	if (ast.type === "or") return ast.items.some(item => evaluateQuery(item, author, test));
+	if (ast.type === "not") return !evaluateQuery(ast.item, author, test);
+	return test(author, ast);
+}
+
+// Quote a string value for a query
+export function quoteString(s) {
+	return `"${String(s).replace(/["\\]/g, m => "\\" + m)}"`;
+}
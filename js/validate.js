@@ -0,0 +1,120 @@
+/*
+  validate.js
+  Schema checks for authors.json records. validateAuthors() returns cleaned copies of the
+  records plus a data-quality report: per issue, the affected authors and what was done to them.
+
+  Copyright 2025 Marco Monteverde
+  License: MIT
+*/
+
+// Issue kinds in report order. action is what happens to an affected record:
+// 'repaired' (fixed in the loaded copy), 'skipped' (left out of the view) or 'kept' (loaded as is)
+export const issueKinds = {
+	notAnObject: { label: "Record is not an object", action: "skipped" },
+	duplicateAuthor: { label: "Duplicate OpenAlex ID (later record dropped)", action: "skipped" },
+	missingName: { label: "Missing first and last name", action: "kept" },
+	missingInstitution: { label: "Missing institution", action: "kept" },
+	missingOrcid: { label: "Missing ORCID", action: "kept" },
+	missingOpenAlex: { label: "Missing OpenAlex ID", action: "kept" },
+	missingMetrics: { label: "Missing or non-numeric H-Index / I10-Index / works / citations", action: "kept" },
+	noYearlySubfields: { label: "No Yearly_Subfields data (never active)", action: "kept" },
+	floatYearKeys: { label: "Year keys written as decimals (\"2002.0\"), normalized to integers", action: "repaired" },
+	invalidYearKeys: { label: "Non-numeric year keys, entries dropped", action: "repaired" },
+	badCounts: { label: "Negative or non-numeric counts, entries dropped", action: "repaired" },
+	keyWithoutSeparator: { label: "Topic/field keys without \"---\", filed under Unknown", action: "repaired" },
+	unknownSubfield: { label: "Subfields missing from the taxonomy", action: "kept" }
+};
+
+const metricKeys = [["H-Index", "H_Index", "hindex"], ["I10-Index", "i10"], ["Works Count", "works_count"], ["Cited By Count", "cited_by_count"]];
+
+const isBlank = v => v === null || v === undefined || String(v).trim() === "";
+
+// Validate raw records. knownSubfields (names of the taxonomy) enables the unknown-subfield check.
+// Returns { records, indices, issues: [{ kind, label, action, authors: [{ index, name, detail }] }], skipped }
+// where indices[i] is the position of records[i] in rawArray
+export function validateAuthors(rawArray, { knownSubfields = null } = {}) {
+	const found = {};
+	const note = (kind, index, name, detail = "") => {
+		(found[kind] = found[kind] || []).push({ index, name, detail });
+	};
+	const known = knownSubfields ? new Set(knownSubfields) : null;
+	const seenIds = new Set();
+	const records = [];
+	const indices = [];
+	let skipped = 0;
+
+	rawArray.forEach((a, index) => {
+		if (!a || typeof a !== "object" || Array.isArray(a)) {
+			note("notAnObject", index, `record #${index + 1}`);
+			skipped++;
+			return;
+		}
+		const name = `${a.Nome || ""} ${a.Cognome || ""}`.trim() || `record #${index + 1}`;
+		const openalex = a["OpenAlex ID"] || a.openalex || "";
+		if (openalex && seenIds.has(openalex)) {
+			note("duplicateAuthor", index, name, openalex);
+			skipped++;
+			return;
+		}
+		if (openalex) seenIds.add(openalex);
+
+		if (isBlank(a.Nome) && isBlank(a.Cognome)) note("missingName", index, name);
+		if (isBlank(a["Institution (OpenAlex)"] ?? a.institution ?? a.institution_name)) note("missingInstitution", index, name);
+		if (isBlank(a.ORCID)) note("missingOrcid", index, name);
+		if (!openalex) note("missingOpenAlex", index, name);
+		const missing = metricKeys.filter(keys => {
+			const v = keys.map(k => a[k]).find(x => !isBlank(x));
+			return v === undefined || !Number.isFinite(Number(v));
+		}).map(keys => keys[0]);
+		if (missing.length) note("missingMetrics", index, name, missing.join(", "));
+
+		const subfieldCounts = a.Yearly_Subfields;
+		if (!subfieldCounts || typeof subfieldCounts !== "object" || !Object.keys(subfieldCounts).length) note("noYearlySubfields", index, name);
+
+		// clean the three yearly objects; a problem is reported once per author and kind
+		const problems = new Set();
+		const unknown = new Set();
+		const checkSubfield = sf => { if (known && !known.has(sf)) unknown.add(sf); };
+		const clean = (obj, paired) => {
+			const out = {};
+			for (const [yStr, counts] of Object.entries(obj || {})) {
+				const y = Number(yStr);
+				if (yStr.trim() === "" || !Number.isInteger(y)) {
+					problems.add("invalidYearKeys");
+					continue;
+				}
+				if (String(y) !== yStr) problems.add("floatYearKeys");
+				const year = out[y] = out[y] || {};
+				for (let [key, c] of Object.entries(counts || {})) {
+					const n = Number(c);
+					if (c === null || !Number.isFinite(n) || n < 0) {
+						problems.add("badCounts");
+						continue;
+					}
+					if (paired && !key.includes("---")) {
+						problems.add("keyWithoutSeparator");
+						key = `Unknown---${key}`;
+					}
+					checkSubfield(paired ? key.split("---")[0] : key);
+					year[key] = (year[key] || 0) + n;
+				}
+			}
+			return out;
+		};
+		const record = {
+			...a,
+			Yearly_Subfields: clean(a.Yearly_Subfields, false),
+			Yearly_Fields: clean(a.Yearly_Fields, true),
+			Yearly_Topics: clean(a.Yearly_Topics, true)
+		};
+		for (const kind of problems) note(kind, index, name);
+		if (unknown.size) note("unknownSubfield", index, name, Array.from(unknown).join(", "));
+		records.push(record);
+		indices.push(index);
+	});
+
+	const issues = Object.entries(issueKinds)
+		.filter(([kind]) => found[kind])
+		.map(([kind, spec]) => ({ kind, label: spec.label, action: spec.action, authors: found[kind] }));
+	return { records, indices, issues, skipped };
+}
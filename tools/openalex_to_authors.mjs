@@ -0,0 +1,220 @@
+/*
+  openalex_to_authors.mjs
+  Builds authors.json from locally saved OpenAlex dumps, without network access.
+
+  Usage:
+    node tools/openalex_to_authors.mjs --authors <path> --works <path> [--out json/authors.json] [--field "Computer Science"]
+
+  Offline example with the fixtures in tools/fixtures (two authors; three works, one repeated to show
+  deduplication and one outside Computer Science to show skipping):
+    node tools/openalex_to_authors.mjs --authors tools/fixtures/authors.json --works tools/fixtures/works.jsonl
+
+  --authors / --works can be repeated. Each path is a file or a directory of files; a file is
+  a JSON array, an API page ({ "results": [...] }) or JSONL (one object per line), optionally .gz.
+  Every author of the --authors dumps becomes one record; works are counted for each of those
+  authors that appears in their authorships. Per work (deduplicated by id) in its publication year:
+    - the work's subfield is the subfield of its best-scoring topic in --field;
+      works without such a topic are not counted
+    - Yearly_Subfields[year][subfield] += 1
+    - Yearly_Topics[year]["subfield---topic"] += 1 for every topic of the work in --field, under
+      that topic's own subfield; topics of other fields are not counted
+    - Yearly_Fields[year]["subfield---field"] += 1 for every other field among the work's topics
+  Output is deterministic for the same inputs (authors in dump order, sorted years and keys).
+
+  Copyright 2025 Marco Monteverde
+  License: MIT
+*/
+
+import fs from "node:fs";
+import path from "node:path";
+import readline from "node:readline";
+import zlib from "node:zlib";
+
+const usage = `Usage: node tools/openalex_to_authors.mjs --authors <path> --works <path> [--out <file>] [--field <name>]`;
+
+function parseArgs(argv) {
+	const opts = { authors: [], works: [], out: null, field: "Computer Science" };
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		const value = () => {
+			if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+			return argv[++i];
+		};
+		if (arg === "--authors") opts.authors.push(value());
+		else if (arg === "--works") opts.works.push(value());
+		else if (arg === "--out") opts.out = value();
+		else if (arg === "--field") opts.field = value();
+		else if (arg === "--help" || arg === "-h") opts.help = true;
+		else throw new Error(`Unknown argument ${arg}`);
+	}
+	return opts;
+}
+
+// files of a path: the path itself, or the dump files of a directory (sorted, not recursive)
+function dumpFiles(p) {
+	if (!fs.statSync(p).isDirectory()) return [p];
+	return fs.readdirSync(p)
+		.filter(name => /\.(json|jsonl|ndjson)(\.gz)?$/i.test(name))
+		.sort()
+		.map(name => path.join(p, name));
+}
+
+// yield every object of a dump file (JSON array, API page or JSONL)
+async function* readObjects(file) {
+	let stream = fs.createReadStream(file);
+	if (file.toLowerCase().endsWith(".gz")) stream = stream.pipe(zlib.createGunzip());
+	const base = file.toLowerCase().replace(/\.gz$/, "");
+
+	if (base.endsWith(".json")) {
+		const chunks = [];
+		for await (const chunk of stream) chunks.push(chunk);
+		const text = Buffer.concat(chunks).toString("utf8").trim();
+		// a .json file may still hold one object per line
+		let data;
+		try {
+			data = JSON.parse(text);
+		} catch {
+			data = text.split(/\r?\n/).filter(l => l.trim()).map(l => JSON.parse(l));
+		}
+		const items = Array.isArray(data) ? data : (Array.isArray(data.results) ? data.results : [data]);
+		yield* items;
+		return;
+	}
+
+	const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+	let n = 0;
+	for await (const line of lines) {
+		n++;
+		if (!line.trim()) continue;
+		try {
+			yield JSON.parse(line);
+		} catch (err) {
+			throw new Error(`${file}:${n}: ${err.message}`);
+		}
+	}
+}
+
+// "https://openalex.org/A5015251856" and "A5015251856" are the same author
+const shortId = id => String(id || "").split("/").pop().toUpperCase();
+
+function splitName(displayName) {
+	const name = String(displayName || "").trim();
+	const i = name.lastIndexOf(" ");
+	return i > 0 ? [name.slice(0, i), name.slice(i + 1)] : [name, ""];
+}
+
+function authorRecord(a) {
+	const [given, family] = splitName(a.display_name);
+	const stats = a.summary_stats || {};
+	const institution = (a.last_known_institutions || [])[0] || a.last_known_institution || null;
+	const num = v => (v === undefined || v === null ? null : Number(v));
+	return {
+		"Nome": given,
+		"Cognome": family,
+		"OpenAlex ID": a.id || null,
+		"ORCID": a.orcid ? String(a.orcid).replace(/^https?:\/\/orcid\.org\//, "") : null,
+		"H-Index": num(stats.h_index),
+		"I10-Index": num(stats.i10_index),
+		"Works Count": num(a.works_count),
+		"Cited By Count": num(a.cited_by_count),
+		"Institution (OpenAlex)": institution ? institution.display_name || null : null,
+		"Yearly_Subfields": {},
+		"Yearly_Fields": {},
+		"Yearly_Topics": {}
+	};
+}
+
+function addCount(yearly, year, key) {
+	const counts = yearly[year] = yearly[year] || {};
+	counts[key] = (counts[key] || 0) + 1;
+}
+
+// the work's subfield in the target field: its best-scoring topic there (ties: first listed)
+function workSubfield(work, field) {
+	let best = null;
+	for (const t of work.topics || []) {
+		if (t.field?.display_name !== field || !t.subfield?.display_name) continue;
+		if (!best || Number(t.score || 0) > Number(best.score || 0)) best = t;
+	}
+	return best ? best.subfield.display_name : null;
+}
+
+function countWork(record, work, year, subfield, field) {
+	addCount(record.Yearly_Subfields, year, subfield);
+	const otherFields = new Set();
+	for (const t of work.topics || []) {
+		const f = t.field?.display_name;
+		if (f === field) {
+			if (t.display_name && t.subfield?.display_name) addCount(record.Yearly_Topics, year, `${t.subfield.display_name}---${t.display_name}`);
+		} else if (f) otherFields.add(f);
+	}
+	for (const f of otherFields) addCount(record.Yearly_Fields, year, `${subfield}---${f}`);
+}
+
+// sorted copy: numeric years ascending, keys inside a year alphabetically
+function sortYearly(yearly) {
+	const out = {};
+	for (const y of Object.keys(yearly).map(Number).sort((a, b) => a - b)) {
+		out[y] = Object.fromEntries(Object.entries(yearly[y]).sort(([a], [b]) => a.localeCompare(b)));
+	}
+	return out;
+}
+
+async function main() {
+	const opts = parseArgs(process.argv.slice(2));
+	if (opts.help) {
+		console.log(usage);
+		return;
+	}
+	if (!opts.authors.length || !opts.works.length) throw new Error(`--authors and --works are required\n${usage}`);
+
+	const records = new Map(); // short author id -> record
+	for (const file of opts.authors.flatMap(dumpFiles)) {
+		for await (const a of readObjects(file)) {
+			const id = shortId(a.id);
+			if (id && !records.has(id)) records.set(id, authorRecord(a));
+		}
+	}
+
+	const seenWorks = new Set();
+	let counted = 0, skipped = 0;
+	for (const file of opts.works.flatMap(dumpFiles)) {
+		for await (const w of readObjects(file)) {
+			const workId = shortId(w.id);
+			if (workId && seenWorks.has(workId)) continue;
+			seenWorks.add(workId);
+
+			const year = Number(w.publication_year);
+			const subfield = workSubfield(w, opts.field);
+			if (!Number.isInteger(year) || !subfield) {
+				skipped++;
+				continue;
+			}
+			const authorIds = new Set((w.authorships || []).map(au => shortId(au.author?.id)));
+			let used = false;
+			for (const id of authorIds) {
+				const record = records.get(id);
+				if (!record) continue;
+				countWork(record, w, year, subfield, opts.field);
+				used = true;
+			}
+			if (used) counted++;
+		}
+	}
+
+	const out = Array.from(records.values()).map(r => ({
+		...r,
+		Yearly_Subfields: sortYearly(r.Yearly_Subfields),
+		Yearly_Fields: sortYearly(r.Yearly_Fields),
+		Yearly_Topics: sortYearly(r.Yearly_Topics)
+	}));
+	const json = JSON.stringify(out, null, 2) + "\n";
+	if (opts.out) fs.writeFileSync(opts.out, json);
+	else process.stdout.write(json);
+	console.error(`${out.length} authors, ${counted} works counted, ${skipped} works without a ${opts.field} topic or year`);
+}
+
+main().catch(err => {
+	console.error(err.message);
+	process.exitCode = 1;
+});